@@ -4,6 +4,7 @@ const domainRoutes = require('./domains/index');
 const packageJson = require('../package.json');
 
 const auth = require('./middlewares/auth/authentication');
+const { requireVerifiedEmail } = require('./middlewares/auth/verification');
 
 function formatUptime(uptime) {
   const days = Math.floor(uptime / (24 * 60 * 60));
@@ -21,7 +22,7 @@ function defineRoutes(expressApp) {
   domainRoutes(router);
 
   // we need to call `auth.isAuthenticated` like this so that we can mock the auth module in tests
-  expressApp.use('/api/v1', auth.isAuthenticated, router);
+  expressApp.use('/api/v1', auth.isAuthenticated, requireVerifiedEmail, router);
   // health check
   expressApp.get('/health', (req, res) => {
     const healthCheck = {
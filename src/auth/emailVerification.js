@@ -0,0 +1,71 @@
+const config = require('../configs');
+const logger = require('../libraries/log/logger');
+const { sendMail } = require('../libraries/mail');
+const { getById, getByEmail, updateById } = require('../domains/user/service');
+const { AppError } = require('../libraries/error-handling/AppError');
+const { signToken, verifySignedToken } = require('./util');
+
+const PURPOSE = 'verify-email';
+
+// Only local accounts verify their email, the identity providers already did
+const needsVerification = (user) =>
+  user?.authType === 'local' && !user.isVerified;
+
+// Mail a link to the client's verification page, the client posts the token
+// of the link to /api/verify-email.
+// The token is bound to the email, changing the email invalidates it.
+const sendVerificationEmail = async (user) => {
+  const token = signToken(
+    { sub: user._id.toString(), email: user.email, purpose: PURPOSE },
+    config.EMAIL_VERIFICATION_EXPIRES_IN_HOURS * 60 * 60
+  );
+  const link = `${config.CLIENT_HOST}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your CommitStreams email',
+    text: [
+      'Welcome to CommitStreams!',
+      `Verify your email by opening this link: ${link}`,
+      `The link expires in ${config.EMAIL_VERIFICATION_EXPIRES_IN_HOURS} hours.`,
+    ].join('\n\n'),
+  });
+  logger.info('sendVerificationEmail(): verification email sent', {
+    userId: user._id,
+  });
+};
+
+// Mark the account of the token as verified. Verifying twice is not an error.
+const verifyEmail = async (token) => {
+  const payload = verifySignedToken(token);
+  const user = payload?.purpose === PURPOSE ? await getById(payload.sub) : null;
+  if (!user || user.email !== payload.email) {
+    throw new AppError(
+      'invalid-token',
+      'Verification token is invalid or expired',
+      400
+    );
+  }
+  if (!user.isVerified) {
+    await updateById(user._id, { isVerified: true, updatedAt: new Date() });
+    logger.info('verifyEmail(): email verified', { userId: user._id });
+  }
+  return { _id: user._id, email: user.email, isVerified: true };
+};
+
+// Send a new verification email to an unverified local account. Nothing tells
+// the caller whether the email is registered.
+const resendVerificationEmail = async (email) => {
+  const user = await getByEmail(email);
+  if (!needsVerification(user)) {
+    logger.info('resendVerificationEmail(): nothing to verify');
+    return;
+  }
+  await sendVerificationEmail(user);
+};
+
+module.exports = {
+  needsVerification,
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerificationEmail,
+};
@@ -7,6 +7,12 @@ const {
   create,
   updateById,
 } = require('../domains/user/service');
+const { startGitHubInterestsImport } = require('../domains/import/service');
+const {
+  getConnectingUserId,
+  getMergeableUser,
+  linkIdentity,
+} = require('./identities');
 const { AppError } = require('../libraries/error-handling/AppError');
 
 const getGitHubStrategy = () => {
@@ -15,9 +21,19 @@ const getGitHubStrategy = () => {
       clientID: config.GITHUB_CLIENT_ID,
       clientSecret: config.GITHUB_CLIENT_SECRET,
       callbackURL: `${config.HOST}/api/auth/github/callback`,
+      passReqToCallback: true,
     },
-    async (accessToken, refreshToken, profile, cb) => {
+    async (req, accessToken, refreshToken, profile, cb) => {
       try {
+        const connectingUserId = getConnectingUserId(req, 'github');
+        if (connectingUserId) {
+          const trimmedPayloadForSession = await connectGitHubIdentity(
+            connectingUserId,
+            { profile, accessToken }
+          );
+          return cb(null, trimmedPayloadForSession, { connected: 'github' });
+        }
+
         const trimmedPayloadForSession = await getOrCreateUserFromGitHubProfile(
           {
             profile,
@@ -33,88 +49,103 @@ const getGitHubStrategy = () => {
   );
 };
 
+// GitHub subdocument of the user, with the encrypted access token
+const mapGitHubIdentity = (profile, accessToken) => {
+  const tokenInfo = encryptToken(accessToken);
+  return {
+    id: profile.id,
+    nodeId: profile.nodeId,
+    profileUrl: profile.profileUrl,
+    avatarUrl: profile._json.avatar_url,
+    apiUrl: profile._json.url,
+    company: profile._json.company,
+    blog: profile._json.blog,
+    location: profile._json.location,
+    hireable: profile._json.hireable,
+    bio: profile._json.bio,
+    public_repos: profile._json.public_repos,
+    public_gists: profile._json.public_gists,
+    followers: profile._json.followers,
+    following: profile._json.following,
+    created_at: profile._json.created_at,
+    updated_at: profile._json.updated_at,
+    accessToken: tokenInfo.token,
+    accessTokenIV: tokenInfo.iv,
+  };
+};
+
+const getSessionPayload = (user) => {
+  const userObj = user.toObject();
+  return {
+    _id: userObj._id,
+    email: userObj.email,
+    authType: userObj.authType,
+    isAdmin: userObj.isAdmin,
+    isDeactivated: userObj.isDeactivated,
+    isDemo: userObj.isDemo,
+    // UI info
+    displayName: userObj.displayName,
+    avatarUrl: userObj.github?.avatarUrl,
+  };
+};
+
 async function getOrCreateUserFromGitHubProfile({ profile, accessToken }) {
   const isAdmin = config.ADMIN_USERNAMES.includes(profile.username);
-  
-  // Restructured payload to match new schema
+
   const payload = {
     email: profile._json.email,
     displayName: profile.displayName,
     authType: 'github',
-    
-    // GitHub specific data moved to github subdocument
-    github: {
-      id: profile.id,
-      nodeId: profile.nodeId,
-      profileUrl: profile.profileUrl,
-      avatarUrl: profile._json.avatar_url,
-      apiUrl: profile._json.url,
-      company: profile._json.company,
-      blog: profile._json.blog,
-      location: profile._json.location,
-      hireable: profile._json.hireable,
-      bio: profile._json.bio,
-      public_repos: profile._json.public_repos,
-      public_gists: profile._json.public_gists,
-      followers: profile._json.followers,
-      following: profile._json.following,
-      created_at: profile._json.created_at,
-      updated_at: profile._json.updated_at,
-    },
-
+    github: mapGitHubIdentity(profile, accessToken),
     isDemo: false,
     isVerified: true,
     isAdmin,
   };
 
-  // Update query to use github.id instead of githubId
-  let user = await getByGitHubId(profile.id);
+  // a new GitHub login joins the account of its email, GitHub only shows a
+  // verified email on the profile
+  let user =
+    (await getByGitHubId(profile.id)) ??
+    (await getMergeableUser('github', payload.email, true));
 
-  const tokenInfo = encryptToken(accessToken);
   if (user) {
     if (user.isDeactivated) {
       throw new AppError('user-is-deactivated', 'User is deactivated', 401);
     }
 
-    // Update the user with the latest data
-    // Note: Using spread to maintain other fields while updating github subdocument
-    user = Object.assign(user, payload, {
-      github: {
-        ...payload.github,
-        accessToken: tokenInfo.token,
-        accessTokenIV: tokenInfo.iv,
-      },
-      updatedAt: new Date(),
-    });
+    // Update the user with the latest data, an account created with another
+    // login method only takes the GitHub data
+    const updates =
+      user.authType === 'github'
+        ? payload
+        : { github: payload.github, isAdmin: user.isAdmin || isAdmin };
+    user = Object.assign(user, updates, { updatedAt: new Date() });
     await updateById(user._id, user);
   } else {
     // Create a new user
-    user = await create({
-      ...payload,
-      github: {
-        ...payload.github,
-        accessToken: tokenInfo.token,
-        accessTokenIV: tokenInfo.iv,
-      },
-    });
+    user = await create(payload);
+    if (config.GITHUB_IMPORT_ON_SIGNUP) {
+      await startGitHubInterestsImport(user._id, {
+        follow: config.GITHUB_IMPORT_FOLLOW,
+      });
+    }
   }
 
-  const userObj = user.toObject();
-  const trimmedPayloadForSession = {
-    _id: userObj._id,
-    email: userObj.email,
-    authType: userObj.authType,
-    isAdmin: userObj.isAdmin,
-    isDeactivated: userObj.isDeactivated,
-    isDemo: userObj.isDemo,
-    // UI info
-    displayName: userObj.displayName,
-    avatarUrl: userObj.github.avatarUrl,
-  };
-  return trimmedPayloadForSession;
+  return getSessionPayload(user);
+}
+
+// Link the GitHub account to the logged in user
+async function connectGitHubIdentity(userId, { profile, accessToken }) {
+  const user = await linkIdentity(
+    userId,
+    'github',
+    mapGitHubIdentity(profile, accessToken)
+  );
+  return getSessionPayload(user);
 }
 
 module.exports = {
   getGitHubStrategy,
   getOrCreateUserFromGitHubProfile,
+  connectGitHubIdentity,
 };
@@ -6,6 +6,11 @@ const {
   create,
   updateById,
 } = require('../domains/user/service');
+const {
+  getConnectingUserId,
+  getMergeableUser,
+  linkIdentity,
+} = require('./identities');
 
 const getGoogleStrategy = () => {
   return new GoogleStrategy(
@@ -14,9 +19,19 @@ const getGoogleStrategy = () => {
       clientSecret: config.GOOGLE_CLIENT_SECRET,
       callbackURL: `${config.HOST}/api/auth/google/callback`,
       scope: ['profile', 'email'],
+      passReqToCallback: true,
     },
-    async (accessToken, refreshToken, profile, cb) => {
+    async (req, accessToken, refreshToken, profile, cb) => {
       try {
+        const connectingUserId = getConnectingUserId(req, 'google');
+        if (connectingUserId) {
+          const trimmedPayloadForSession = await connectGoogleIdentity(
+            connectingUserId,
+            { profile }
+          );
+          return cb(null, trimmedPayloadForSession, { connected: 'google' });
+        }
+
         const trimmedPayloadForSession = await getOrCreateUserFromGoogleProfile(
           {
             profile,
@@ -31,6 +46,26 @@ const getGoogleStrategy = () => {
   );
 };
 
+const mapGoogleIdentity = (profile) => ({
+  id: profile.id,
+  email: profile.emails[0].value,
+  picture: profile.photos[0].value,
+});
+
+const getSessionPayload = (user) => {
+  const userObj = user.toObject();
+  return {
+    _id: userObj._id,
+    email: userObj.email,
+    authType: userObj.authType,
+    isAdmin: userObj.isAdmin,
+    isDeactivated: userObj.isDeactivated,
+    isDemo: userObj.isDemo,
+    displayName: userObj.displayName,
+    avatarUrl: userObj.google?.picture,
+  };
+};
+
 async function getOrCreateUserFromGoogleProfile({ profile, accessToken }) {
   const isAdmin = config.ADMIN_USERNAMES.includes(profile.emails[0].value);
 
@@ -38,26 +73,32 @@ async function getOrCreateUserFromGoogleProfile({ profile, accessToken }) {
     email: profile.emails[0].value,
     displayName: profile.displayName,
     authType: 'google',
-
-    google: {
-      id: profile.id,
-      email: profile.emails[0].value,
-      picture: profile.photos[0].value,
-    },
-
+    google: mapGoogleIdentity(profile),
     isDemo: false,
     isVerified: true,
     isAdmin,
   };
 
-  let user = await getByGoogleId(profile.id);
+  // a new Google login joins the account of its email when Google verified it
+  let user =
+    (await getByGoogleId(profile.id)) ??
+    (await getMergeableUser(
+      'google',
+      payload.email,
+      profile.emails[0].verified === true
+    ));
 
   if (user) {
     if (user.isDeactivated) {
       throw new AppError('user-is-deactivated', 'User is deactivated', 401);
     }
 
-    user = Object.assign(user, payload, {
+    // an account created with another login method only takes the Google data
+    const updates =
+      user.authType === 'google'
+        ? payload
+        : { google: payload.google, isAdmin: user.isAdmin || isAdmin };
+    user = Object.assign(user, updates, {
       updatedAt: new Date(),
     });
     await updateById(user._id, user);
@@ -65,21 +106,17 @@ async function getOrCreateUserFromGoogleProfile({ profile, accessToken }) {
     user = await create(payload);
   }
 
-  const userObj = user.toObject();
-  const trimmedPayloadForSession = {
-    _id: userObj._id,
-    email: userObj.email,
-    authType: userObj.authType,
-    isAdmin: userObj.isAdmin,
-    isDeactivated: userObj.isDeactivated,
-    isDemo: userObj.isDemo,
-    displayName: userObj.displayName,
-    avatarUrl: userObj.google.picture,
-  };
-  return trimmedPayloadForSession;
+  return getSessionPayload(user);
+}
+
+// Link the Google account to the logged in user
+async function connectGoogleIdentity(userId, { profile }) {
+  const user = await linkIdentity(userId, 'google', mapGoogleIdentity(profile));
+  return getSessionPayload(user);
 }
 
 module.exports = {
   getGoogleStrategy,
   getOrCreateUserFromGoogleProfile,
+  connectGoogleIdentity,
 };
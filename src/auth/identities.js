@@ -0,0 +1,165 @@
+const logger = require('../libraries/log/logger');
+const {
+  getById,
+  getByEmail,
+  getByGitHubId,
+  getByGoogleId,
+  updateById,
+  getLoginMethods,
+  removeLoginMethod,
+} = require('../domains/user/service');
+const { AppError } = require('../libraries/error-handling/AppError');
+
+const getByProviderId = {
+  github: getByGitHubId,
+  google: getByGoogleId,
+};
+
+// Remember that the OAuth flow about to start connects the provider to the
+// logged in user instead of logging in
+const startConnect = (provider) => (req, res, next) => {
+  req.session.connectIdentity = { provider, userId: req.user._id };
+  next();
+};
+
+// The user connecting the provider in this OAuth flow, null for a login
+const getConnectingUserId = (req, provider) => {
+  const connect = req.session?.connectIdentity;
+  return connect?.provider === provider ? connect.userId : null;
+};
+
+// The account a provider login is merged into when the provider identity is
+// not linked yet: the account with the same email, when both the provider and
+// the account verified that email. Throws when the email belongs to an account
+// that can not be merged, instead of creating a second account.
+const getMergeableUser = async (provider, email, isEmailVerified) => {
+  const user = email ? await getByEmail(email) : null;
+  if (!user) {
+    return null;
+  }
+  if (!isEmailVerified || !user.isVerified) {
+    throw new AppError(
+      'account-exists',
+      `An account with this email exists, log in to it to connect ${provider}`,
+      409
+    );
+  }
+  logger.info('getMergeableUser(): merging by verified email', {
+    userId: user._id,
+    provider,
+  });
+  return user;
+};
+
+const identityAlreadyLinked = (provider) =>
+  new AppError(
+    'identity-already-linked',
+    `This ${provider} account is linked to another account`,
+    409
+  );
+
+// Link the provider identity to the user, replacing the identity of the same
+// provider. An identity linked to another account is not moved.
+const linkIdentity = async (userId, provider, identity) => {
+  const owner = await getByProviderId[provider](identity.id);
+  if (owner && owner._id.toString() !== userId.toString()) {
+    throw identityAlreadyLinked(provider);
+  }
+  let user = null;
+  try {
+    user = await updateById(userId, {
+      [provider]: identity,
+      updatedAt: new Date(),
+    });
+  } catch (error) {
+    // another account linked the identity since the check, the unique index
+    // of the provider id refuses it
+    if (error.cause?.code === 11000) {
+      throw identityAlreadyLinked(provider);
+    }
+    throw error;
+  }
+  if (!user) {
+    throw new AppError('user not found', 'user not found', 404);
+  }
+  logger.info('linkIdentity(): identity linked', { userId, provider });
+  return user;
+};
+
+const toIdentity = (user, provider) => {
+  switch (provider) {
+    case 'local':
+      return { provider, username: user.local.username };
+    case 'github':
+      return {
+        provider,
+        id: user.github.id,
+        profileUrl: user.github.profileUrl,
+        avatarUrl: user.github.avatarUrl,
+      };
+    default:
+      return {
+        provider,
+        id: user.google.id,
+        email: user.google.email,
+        picture: user.google.picture,
+      };
+  }
+};
+
+// Login methods of the user, the last one can not be unlinked
+const listIdentities = async (userId) => {
+  const user = await getById(userId);
+  if (!user) {
+    throw new AppError('user not found', 'user not found', 404);
+  }
+  const methods = getLoginMethods(user);
+  return {
+    primary: user.authType,
+    identities: methods.map((method) => ({
+      ...toIdentity(user, method),
+      canUnlink: methods.length > 1,
+    })),
+  };
+};
+
+const unlinkIdentity = async (userId, provider) => {
+  const user = await getById(userId);
+  if (!user) {
+    throw new AppError('user not found', 'user not found', 404);
+  }
+  const methods = getLoginMethods(user);
+  if (!methods.includes(provider)) {
+    throw new AppError(
+      'identity-not-linked',
+      `No ${provider} login is linked to this account`,
+      404
+    );
+  }
+  // the account keeps one of its remaining methods as auth type
+  const authType =
+    user.authType === provider
+      ? methods.find((method) => method !== provider)
+      : user.authType;
+  const updated = authType
+    ? await removeLoginMethod(userId, provider, authType)
+    : null;
+  if (!updated) {
+    throw new AppError(
+      'last-login-method',
+      'The last login method of an account can not be unlinked',
+      400
+    );
+  }
+  logger.info('unlinkIdentity(): identity unlinked', { userId, provider });
+  return listIdentities(userId);
+};
+
+module.exports = {
+  startConnect,
+  getConnectingUserId,
+  getMergeableUser,
+  linkIdentity,
+  listIdentities,
+  unlinkIdentity,
+};
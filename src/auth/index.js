@@ -1,14 +1,35 @@
-const { encryptToken, decryptToken } = require('./util');
+const { encryptToken, decryptToken, decryptGitHubToken } = require('./util');
 const { updateById } = require('../domains/user/service');
 
 const {
   getGitHubStrategy,
   getOrCreateUserFromGitHubProfile,
+  connectGitHubIdentity,
 } = require('./githubStrategy');
 const { localStrategy, registerUser } = require('./localStrategy');
+const { verifyEmail, resendVerificationEmail } = require('./emailVerification');
+const {
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+} = require('./password');
+const {
+  recordSession,
+  trackSession,
+  listSessions,
+  destroySession,
+  destroyUserSessions,
+  forgetSession,
+} = require('./sessions');
+const {
+  startConnect,
+  listIdentities,
+  unlinkIdentity,
+} = require('./identities');
 const {
   getGoogleStrategy,
   getOrCreateUserFromGoogleProfile,
+  connectGoogleIdentity,
 } = require('./googleStrategy');
 // clear the accessToken value from database after logout
 const clearAuthInfo = async (userId) => {
@@ -22,11 +43,28 @@ const clearAuthInfo = async (userId) => {
 module.exports = {
   getGitHubStrategy,
   getOrCreateUserFromGitHubProfile,
+  connectGitHubIdentity,
   clearAuthInfo,
   encryptToken,
   decryptToken,
+  decryptGitHubToken,
   localStrategy,
   registerUser,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  recordSession,
+  trackSession,
+  listSessions,
+  destroySession,
+  destroyUserSessions,
+  forgetSession,
+  startConnect,
+  listIdentities,
+  unlinkIdentity,
   getGoogleStrategy,
   getOrCreateUserFromGoogleProfile,
+  connectGoogleIdentity,
 };
@@ -5,7 +5,13 @@ const {
   getByEmail,
   create,
 } = require('../domains/user/service');
+const config = require('../configs');
+const logger = require('../libraries/log/logger');
 const { AppError } = require('../libraries/error-handling/AppError');
+const {
+  needsVerification,
+  sendVerificationEmail,
+} = require('./emailVerification');
 
 const verifyCallback = async (username, password, done) => {
   try {
@@ -16,8 +22,8 @@ const verifyCallback = async (username, password, done) => {
       return done(null, false, { message: 'Incorrect email.' });
     }
 
-    // Verify this is a local auth user
-    if (user.authType !== 'local') {
+    // Verify the user has a password, accounts can link several login methods
+    if (!user.local?.password) {
       return done(null, false, { 
         message: `Please use ${user.authType} authentication for this account.` 
       });
@@ -34,6 +40,10 @@ const verifyCallback = async (username, password, done) => {
       return done(null, false, { message: 'Account is deactivated.' });
     }
 
+    if (config.EMAIL_VERIFICATION_MODE === 'login' && needsVerification(user)) {
+      return done(null, false, { message: 'Email is not verified.' });
+    }
+
     return done(null, user);
   } catch (err) {
     return done(err);
@@ -69,6 +79,13 @@ const registerUser = async ({ email, password }) => {
     // Create the user
     const newUser = await create(payload);
 
+    // a mail that failed can be sent again through the resend endpoint
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      logger.error('registerUser(): Failed to send verification email', error);
+    }
+
     // Prepare the user object for the session
     const userObj = newUser.toObject();
     const trimmedPayloadForSession = {
@@ -78,6 +95,7 @@ const registerUser = async ({ email, password }) => {
       isAdmin: userObj.isAdmin,
       isDeactivated: userObj.isDeactivated,
       isDemo: userObj.isDemo,
+      isVerified: userObj.isVerified,
       displayName: userObj.displayName,
     };
 
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const config = require('../configs');
+const logger = require('../libraries/log/logger');
+const { sendMail } = require('../libraries/mail');
+const {
+  getById,
+  getByEmail,
+  updateById,
+  updatePasswordByResetToken,
+} = require('../domains/user/service');
+const { AppError } = require('../libraries/error-handling/AppError');
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+const hashResetToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Mail a single use reset link to an account with a local login. A new
+// request replaces the pending token. Nothing tells the caller whether the
+// email is registered.
+const requestPasswordReset = async (email) => {
+  const user = await getByEmail(email);
+  if (!user?.local?.password || user.isDeactivated) {
+    logger.info('requestPasswordReset(): no local account to reset');
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await updateById(user._id, {
+    'local.passwordReset': {
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(
+        Date.now() + config.PASSWORD_RESET_EXPIRES_IN_MINUTES * 60 * 1000
+      ),
+    },
+  });
+  const link = `${config.CLIENT_HOST}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your CommitStreams password',
+    text: [
+      `Choose a new password by opening this link: ${link}`,
+      `The link expires in ${config.PASSWORD_RESET_EXPIRES_IN_MINUTES} minutes and can be used once.`,
+      'If you did not ask for a new password, you can ignore this email.',
+    ].join('\n\n'),
+  });
+  logger.info('requestPasswordReset(): reset email sent', {
+    userId: user._id,
+  });
+};
+
+// Set the password of the account of the reset token, returns the user
+const resetPassword = async (token, password) => {
+  const user = await updatePasswordByResetToken(
+    hashResetToken(token),
+    await hashPassword(password)
+  );
+  if (!user) {
+    throw new AppError(
+      'invalid-token',
+      'Reset token is invalid or expired',
+      400
+    );
+  }
+  return user;
+};
+
+// Change the password of an account with a local login that knows its
+// current password. A pending reset token is dropped.
+const changePassword = async (userId, { currentPassword, newPassword }) => {
+  const user = await getById(userId);
+  if (!user?.local?.password) {
+    throw new AppError(
+      'password-not-supported',
+      'Only accounts with a local login have a password',
+      400
+    );
+  }
+  const isValidPassword = await bcrypt.compare(
+    currentPassword,
+    user.local.password
+  );
+  if (!isValidPassword) {
+    throw new AppError('invalid-password', 'Incorrect password', 400);
+  }
+  await updateById(user._id, {
+    $set: {
+      'local.password': await hashPassword(newPassword),
+      updatedAt: new Date(),
+    },
+    $unset: { 'local.passwordReset': 1 },
+  });
+  logger.info('changePassword(): password changed', { userId: user._id });
+  return user;
+};
+
+module.exports = { requestPasswordReset, resetPassword, changePassword };
@@ -0,0 +1,51 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const verifyEmailSchema = Joi.object().keys({
+  token: Joi.string().max(1000).required(),
+});
+
+const resendVerificationSchema = Joi.object().keys({
+  email: Joi.string().email().required(),
+});
+
+const password = Joi.string().min(8).max(128);
+
+const forgotPasswordSchema = Joi.object().keys({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object().keys({
+  token: Joi.string().max(100).required(),
+  password: password.required(),
+});
+
+const changePasswordSchema = Joi.object().keys({
+  currentPassword: Joi.string().required(),
+  newPassword: password.invalid(Joi.ref('currentPassword')).required(),
+});
+
+const identityProviderSchema = Joi.object().keys({
+  provider: Joi.string().valid('local', 'github', 'google').required(),
+});
+
+const sessionIdSchema = Joi.object().keys({
+  id: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .required(),
+});
+
+module.exports = {
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  identityProviderSchema,
+  sessionIdSchema,
+};
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const config = require('../configs');
+const logger = require('../libraries/log/logger');
+const {
+  upsertBySessionId,
+  getByUser,
+  getUserSession,
+  deleteBySessionIds,
+  insertMissing,
+} = require('../domains/session/service');
+const { AppError } = require('../libraries/error-handling/AppError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// the use of a session is recorded at most this often
+const TRACK_INTERVAL_MS = 5 * 60 * 1000;
+// collection of the Mongo session store, keyed by session id
+const STORE_COLLECTION = 'sessions';
+const BACKFILL_BATCH_SIZE = 500;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+const findName = (names, userAgent) =>
+  names.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// e.g. 'Firefox on Linux', other clients show the product of their user agent
+const getDevice = (userAgent) => {
+  const browser = findName(BROWSERS, userAgent);
+  const os = findName(OPERATING_SYSTEMS, userAgent);
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+  return browser ?? os ?? (userAgent.split(' ')[0] || 'Unknown device');
+};
+
+const getSessionUserId = (session) =>
+  session?.passport?.user?._id ?? session?.userId;
+
+// Index the session of the request under its logged in user. A failure is
+// only logged, the session itself works without the index.
+const recordSession = async (req) => {
+  try {
+    const userAgent = req.get('user-agent') ?? '';
+    await upsertBySessionId(req.sessionID, {
+      user: getSessionUserId(req.session),
+      ip: req.ip,
+      userAgent,
+      device: getDevice(userAgent),
+      expiresAt: new Date(Date.now() + config.SESSION_TTL_IN_DAYS * DAY_MS),
+    });
+    req.session.lastSeenAt = Date.now();
+  } catch (error) {
+    logger.error('recordSession(): Failed to record the session', error);
+  }
+};
+
+// Record the use of logged in sessions, a session logged in before the index
+// existed is indexed on its next request
+const trackSession = async (req, res, next) => {
+  const lastSeenAt = req.session?.lastSeenAt ?? 0;
+  if (
+    getSessionUserId(req.session) &&
+    Date.now() - lastSeenAt > TRACK_INTERVAL_MS
+  ) {
+    await recordSession(req);
+  }
+  next();
+};
+
+const destroyStoreSession = (sessionStore, sessionId) =>
+  new Promise((resolve, reject) => {
+    sessionStore.destroy(sessionId, (err) => (err ? reject(err) : resolve()));
+  });
+
+const destroySessions = async (sessionStore, sessionIds) => {
+  await Promise.all(
+    sessionIds.map((sessionId) => destroyStoreSession(sessionStore, sessionId))
+  );
+  await deleteBySessionIds(sessionIds);
+};
+
+// Sessions of the user, the session of the request is marked as current
+const listSessions = async (userId, currentSessionId) => {
+  const items = await getByUser(userId);
+  return items.map((item) => ({
+    _id: item._id,
+    device: item.device,
+    ip: item.ip,
+    userAgent: item.userAgent,
+    createdAt: item.createdAt,
+    lastSeenAt: item.lastSeenAt,
+    current: item.sessionId === currentSessionId,
+  }));
+};
+
+// Log out one session of the user, the current session ends by logging out
+const destroySession = async (sessionStore, userId, id, currentSessionId) => {
+  const item = await getUserSession(id, userId);
+  if (!item) {
+    throw new AppError('Session not found', 'Session not found', 404);
+  }
+  if (item.sessionId === currentSessionId) {
+    throw new AppError(
+      'current-session',
+      'Log out to end the current session',
+      400
+    );
+  }
+  await destroySessions(sessionStore, [item.sessionId]);
+  logger.info('destroySession(): session destroyed', { userId, id });
+  return item;
+};
+
+// Log out the sessions of the user, except the session exceptSessionId
+const destroyUserSessions = async (sessionStore, userId, exceptSessionId) => {
+  const sessionIds = (await getByUser(userId))
+    .map((item) => item.sessionId)
+    .filter((sessionId) => sessionId !== exceptSessionId);
+  await destroySessions(sessionStore, sessionIds);
+  logger.info('destroyUserSessions(): sessions destroyed', {
+    userId,
+    count: sessionIds.length,
+  });
+  return sessionIds.length;
+};
+
+// One-off: index the logged in sessions of the store that are not indexed yet,
+// the sessions from before the index existed and the unused ones since
+const backfillSessionIndex = async () => {
+  const cursor = mongoose.connection.db
+    .collection(STORE_COLLECTION)
+    .find({ expires: { $gt: new Date() } });
+
+  const summary = { sessions: 0, indexed: 0 };
+  let items = [];
+  for await (const doc of cursor) {
+    summary.sessions += 1;
+    const session =
+      typeof doc.session === 'string' ? JSON.parse(doc.session) : doc.session;
+    const userId = getSessionUserId(session);
+    if (!userId) {
+      continue;
+    }
+    items.push({
+      sessionId: doc._id,
+      user: userId,
+      device: getDevice(''),
+      createdAt: new Date(),
+      lastSeenAt: new Date(session.lastSeenAt ?? Date.now()),
+      expiresAt: doc.expires,
+    });
+    if (items.length === BACKFILL_BATCH_SIZE) {
+      summary.indexed += await insertMissing(items);
+      items = [];
+    }
+  }
+  summary.indexed += await insertMissing(items);
+
+  logger.info('backfillSessionIndex(): done', summary);
+  return summary;
+};
+
+// Drop the index entry of a session that logged out
+const forgetSession = async (sessionId) => {
+  try {
+    await deleteBySessionIds([sessionId]);
+  } catch (error) {
+    logger.error('forgetSession(): Failed to forget the session', error);
+  }
+};
+
+module.exports = {
+  recordSession,
+  trackSession,
+  listSessions,
+  destroySession,
+  destroyUserSessions,
+  backfillSessionIndex,
+  forgetSession,
+};
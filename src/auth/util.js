@@ -26,7 +26,64 @@ function decryptToken(encryptedToken, iv) {
   return decrypted;
 }
 
+// decrypt the GitHub access token stored in the user's github subdocument
+function decryptGitHubToken(user) {
+  const { accessToken, accessTokenIV } = user?.github ?? {};
+  if (!accessToken || !accessTokenIV) {
+    return null;
+  }
+  return decryptToken(accessToken, accessTokenIV);
+}
+
+const toBase64Url = (value) => Buffer.from(value).toString('base64url');
+
+const getSignature = (encodedPayload) =>
+  crypto
+    .createHmac('sha256', config.TOKEN_SECRET)
+    .update(encodedPayload)
+    .digest('base64url');
+
+// Signed token carrying the payload until it expires, e.g. for links sent by
+// mail: base64url JSON payload, a dot and its HMAC-SHA256 signature
+function signToken(payload, expiresInSeconds) {
+  const encodedPayload = toBase64Url(
+    JSON.stringify({
+      ...payload,
+      exp: Math.floor(Date.now() / 1000) + expiresInSeconds,
+    })
+  );
+  return `${encodedPayload}.${getSignature(encodedPayload)}`;
+}
+
+// The payload of a token made by signToken, null when the token is malformed,
+// tampered with or expired
+function verifySignedToken(token) {
+  const [encodedPayload, signature, ...rest] = String(token).split('.');
+  if (!encodedPayload || !signature || rest.length) {
+    return null;
+  }
+  const expected = Buffer.from(getSignature(encodedPayload));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(
+      Buffer.from(encodedPayload, 'base64url').toString('utf-8')
+    );
+    return payload.exp > Date.now() / 1000 ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = {
   encryptToken,
   decryptToken,
+  decryptGitHubToken,
+  signToken,
+  verifySignedToken,
 };
@@ -28,8 +28,62 @@ const schema = Joi.object({
     .pattern(/^(http:\/\/|https:\/\/)/)
     .required(),
   SESSION_SECRET: Joi.string().required(),
+  // sessions unused for this long expire, in the session store and its index
+  SESSION_TTL_IN_DAYS: Joi.number().min(1).default(14),
+  // signs the tokens sent by mail, e.g. email verification links
+  TOKEN_SECRET: Joi.string().default(Joi.ref('SESSION_SECRET')),
   ENCRYPTION_KEY: Joi.string().required(),
   ADMIN_USERNAMES: Joi.array().items(Joi.string()).required(),
+  // background jobs, cron expressions are in the server's timezone
+  SCHEDULER_ENABLED: Joi.boolean().default(true),
+  PULL_SYNC_CRON: Joi.string().default('*/30 * * * *'),
+  REPOSITORY_SNAPSHOT_CRON: Joi.string().default('0 3 * * *'),
+  REPOSITORY_REFRESH_CRON: Joi.string().default('15 * * * *'),
+  IMPORT_RECOVERY_CRON: Joi.string().default('*/10 * * * *'),
+  // followed repositories not updated for this long are refreshed
+  REPOSITORY_STALE_AFTER_HOURS: Joi.number().min(1).default(24),
+  REPOSITORY_REFRESH_BATCH_SIZE: Joi.number().integer().min(1).default(100),
+  // pulls of a repository whose commits are synced per pull request sync
+  PULL_COMMITS_SYNC_LIMIT: Joi.number().integer().min(1).default(20),
+  // GitHub client, conditional request cache and rate limit backoff
+  GITHUB_CACHE_ENABLED: Joi.boolean().default(true),
+  GITHUB_MAX_RETRIES: Joi.number().integer().min(0).default(3),
+  // longest wait in seconds before a rate limited request is retried
+  GITHUB_MAX_RETRY_AFTER: Joi.number().integer().min(0).default(120),
+  // import the starred and watched repositories of new GitHub users,
+  // off by default in tests so fixtures are not changed in the background
+  GITHUB_IMPORT_ON_SIGNUP: Joi.boolean().when('NODE_ENV', {
+    is: 'test',
+    then: Joi.boolean().default(false),
+    otherwise: Joi.boolean().default(true),
+  }),
+  // follow the repositories imported on signup, to seed the feed
+  GITHUB_IMPORT_FOLLOW: Joi.boolean().default(true),
+  // email verification of local accounts: 'off' lets unverified accounts do
+  // everything, 'login' refuses their login, 'write' makes /api/v1 read only
+  EMAIL_VERIFICATION_MODE: Joi.string()
+    .valid('off', 'login', 'write')
+    .default('off'),
+  EMAIL_VERIFICATION_EXPIRES_IN_HOURS: Joi.number().min(1).default(24),
+  PASSWORD_RESET_EXPIRES_IN_MINUTES: Joi.number().min(1).default(60),
+  // 'http' posts the mails to MAIL_HTTP_URL, e.g. a mail API or relay. The
+  // stand-ins are for development and tests only: 'console' logs who a mail
+  // is sent to and 'file' writes the mails to MAIL_FILE_DIR
+  MAIL_TRANSPORT: Joi.string().when('NODE_ENV', {
+    is: Joi.valid('development', 'test'),
+    then: Joi.valid('console', 'file', 'http').default('console'),
+    otherwise: Joi.valid('http').required(),
+  }),
+  MAIL_HTTP_URL: Joi.string()
+    .pattern(/^(http:\/\/|https:\/\/)/)
+    .when('MAIL_TRANSPORT', {
+      is: 'http',
+      then: Joi.required(),
+    }),
+  // sent as a Bearer token to MAIL_HTTP_URL when set
+  MAIL_HTTP_TOKEN: Joi.string(),
+  MAIL_FILE_DIR: Joi.string().default('logs/mail'),
+  MAIL_FROM: Joi.string().default('CommitStreams <no-reply@commitstreams.dev>'),
 });
 
 module.exports = schema;
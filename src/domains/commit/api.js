@@ -0,0 +1,37 @@
+const express = require('express');
+const logger = require('../../libraries/log/logger');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const { getById } = require('./service');
+
+const { idSchema } = require('./request');
+const { validateRequest } = require('../../middlewares/request-validate');
+const { logRequest } = require('../../middlewares/log');
+
+const model = 'Commit';
+
+const routes = () => {
+  const router = express.Router();
+  logger.info(`Setting up routes for ${model}`);
+
+  router.get(
+    '/:id',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const item = await getById(req.params.id);
+        if (!item) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { routes };
@@ -0,0 +1,20 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const idSchema = Joi.object().keys({
+  id: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .required(),
+});
+
+const searchByPullSchema = Joi.object({
+  page: Joi.number().integer().min(0),
+  limit: Joi.number().integer().min(1).max(250),
+});
+
+module.exports = { idSchema, searchByPullSchema };
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const { baseSchema } = require('../../libraries/db/base-schema');
+
+// git identity of the author or committer of a commit, with the GitHub
+// account when GitHub could match the email to one
+const signatureSchema = new mongoose.Schema(
+  {
+    name: { type: String },
+    email: { type: String },
+    date: { type: Date },
+    login: { type: String },
+    id: { type: Number },
+    avatar_url: { type: String },
+  },
+  { _id: false }
+);
+
+const schema = new mongoose.Schema({
+  sha: { type: String, required: true },
+  node_id: { type: String, required: true },
+  html_url: { type: String, required: true },
+  message: { type: String, required: true },
+
+  author: signatureSchema,
+  committer: signatureSchema,
+
+  parents: [{ type: String }], // parent commit shas
+  comment_count: { type: Number, default: 0 },
+  verified: { type: Boolean, default: false },
+
+  pull: { type: mongoose.Schema.Types.ObjectId, ref: 'Pull', required: true },
+  repository: { type: mongoose.Schema.Types.ObjectId, ref: 'Repository' },
+});
+
+schema.add(baseSchema);
+
+// the same commit can be part of more than one pull request
+schema.index({ pull: 1, sha: 1 }, { unique: true });
+schema.index({ pull: 1, 'committer.date': 1 });
+schema.index({ sha: 1 });
+// used by the contributors leaderboard
+schema.index({ repository: 1, 'author.date': -1 });
+schema.index({ 'author.date': -1 });
+
+module.exports = mongoose.model('Commit', schema);
@@ -0,0 +1,111 @@
+const logger = require('../../libraries/log/logger');
+
+const Model = require('./schema');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const { fetchPullRequestCommits } = require('../../libraries/util/githubUtils');
+
+const model = 'commit';
+
+const getById = async (id) => {
+  try {
+    const item = await Model.findById(id);
+    logger.info(`getById(): ${model} fetched`, { id });
+    return item;
+  } catch (error) {
+    logger.error(`getById(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message);
+  }
+};
+
+const searchByPull = async (pullId, query) => {
+  try {
+    const { page = 0, limit = 100 } = query ?? {};
+    const items = await Model.find({ pull: pullId })
+      .sort({ 'committer.date': 1, _id: 1 })
+      .skip(page * limit)
+      .limit(limit);
+    logger.info('searchByPull(): filter and count', {
+      pullId,
+      count: items.length,
+    });
+    return items;
+  } catch (error) {
+    logger.error(`searchByPull(): Failed to search ${model}`, error);
+    throw new AppError(`Failed to search ${model}`, error.message, 400);
+  }
+};
+
+const mapSignature = (signature, account) => ({
+  name: signature?.name,
+  email: signature?.email,
+  date: signature?.date ? new Date(signature.date) : null,
+  login: account?.login,
+  id: account?.id,
+  avatar_url: account?.avatar_url,
+});
+
+const mapCommitData = (payload) => {
+  return {
+    sha: payload.sha,
+    node_id: payload.node_id,
+    html_url: payload.html_url,
+    message: payload.commit.message,
+
+    author: mapSignature(payload.commit.author, payload.author),
+    committer: mapSignature(payload.commit.committer, payload.committer),
+
+    parents: payload.parents.map(({ sha }) => sha),
+    comment_count: payload.commit.comment_count,
+    verified: payload.commit.verification?.verified ?? false,
+  };
+};
+
+// Fetch all commits of a pull request from GitHub and store them.
+// Commits are immutable, only the ones not stored yet are inserted.
+const syncPullRequestCommits = async (pull, repository, token) => {
+  try {
+    const commits = await fetchPullRequestCommits(
+      repository.owner.login,
+      repository.name,
+      pull.number,
+      token
+    );
+
+    const operations = commits.map((commit) => ({
+      updateOne: {
+        filter: { pull: pull._id, sha: commit.sha },
+        update: {
+          $setOnInsert: {
+            ...mapCommitData(commit),
+            pull: pull._id,
+            repository: repository._id,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    }));
+    const result = operations.length
+      ? await Model.bulkWrite(operations, { ordered: false })
+      : { upsertedCount: 0 };
+
+    logger.info(`syncPullRequestCommits(): ${model}s synced`, {
+      pullId: pull._id,
+      fetched: commits.length,
+      inserted: result.upsertedCount,
+    });
+    return { fetched: commits.length, inserted: result.upsertedCount };
+  } catch (error) {
+    logger.error(`syncPullRequestCommits(): Failed to sync ${model}s`, error);
+    throw new AppError(`Failed to sync ${model}s`, error.message);
+  }
+};
+
+module.exports = {
+  getById,
+  searchByPull,
+  mapCommitData,
+  syncPullRequestCommits,
+};
@@ -0,0 +1,34 @@
+const express = require('express');
+const logger = require('../../libraries/log/logger');
+
+const { getFeed } = require('./service');
+
+const { feedSchema } = require('./request');
+const { validateRequest } = require('../../middlewares/request-validate');
+const { logRequest } = require('../../middlewares/log');
+
+const model = 'Feed';
+
+const routes = () => {
+  const router = express.Router();
+  logger.info(`Setting up routes for ${model}`);
+
+  // activity feed of the logged in user, paginated with an opaque cursor
+  router.get(
+    '/',
+    logRequest({}),
+    validateRequest({ schema: feedSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const feed = await getFeed(req.user._id, req.query);
+        res.json(feed);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { routes };
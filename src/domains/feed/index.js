@@ -0,0 +1,7 @@
+const { routes } = require('./api');
+
+const defineRoutes = (expressRouter) => {
+  expressRouter.use('/feed', routes());
+};
+
+module.exports = defineRoutes;
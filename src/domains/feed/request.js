@@ -0,0 +1,8 @@
+const Joi = require('joi');
+
+const feedSchema = Joi.object({
+  cursor: Joi.string().base64({ urlSafe: true, paddingRequired: false }),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
+module.exports = { feedSchema };
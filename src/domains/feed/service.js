@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const logger = require('../../libraries/log/logger');
+
+const User = require('../user/schema');
+const Pull = require('../pull/schema');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const model = 'feed';
+
+// The cursor is the sort key of the last item of a page: event time, pull id
+// and the index of the event in the pull's history. Together they are unique,
+// so the next page starts exactly after it even when events share a timestamp.
+const encodeCursor = ({ at, pullId, historyIndex }) =>
+  Buffer.from(
+    JSON.stringify({ at: at.toISOString(), pullId, historyIndex })
+  ).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { at, pullId, historyIndex } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf-8')
+    );
+    const date = new Date(at);
+    if (
+      Number.isNaN(date.getTime()) ||
+      !mongoose.Types.ObjectId.isValid(pullId) ||
+      !Number.isInteger(historyIndex)
+    ) {
+      throw new Error('Malformed cursor');
+    }
+    return {
+      at: date,
+      pullId: new mongoose.Types.ObjectId(pullId),
+      historyIndex,
+    };
+  } catch (error) {
+    throw new AppError('invalid-cursor', 'Invalid feed cursor', 400);
+  }
+};
+
+const getCursorFilter = ({ at, pullId, historyIndex }) => ({
+  $or: [
+    { 'history.at': { $lt: at } },
+    { 'history.at': at, _id: { $lt: pullId } },
+    { 'history.at': at, _id: pullId, historyIndex: { $lt: historyIndex } },
+  ],
+});
+
+const toFeedItem = (doc, followedRepositoryIds) => ({
+  id: `${doc._id}-${doc.historyIndex}`,
+  type: 'pull',
+  event: doc.history.event,
+  from: doc.history.from,
+  to: doc.history.to,
+  at: doc.history.at,
+  reason: followedRepositoryIds.has(doc.repository?.toString())
+    ? 'repository'
+    : 'user',
+  pull: {
+    _id: doc._id,
+    id: doc.id,
+    number: doc.number,
+    title: doc.title,
+    html_url: doc.html_url,
+    state: doc.state,
+    draft: doc.draft,
+    user: doc.user,
+    repository: doc.repository,
+    target_branch: doc.target_branch,
+  },
+});
+
+const getFeed = async (userId, query) => {
+  try {
+    const { cursor, limit = 20 } = query ?? {};
+    const user = await User.findById(userId, {
+      csFollowing: 1,
+      csFollowingRepositories: 1,
+    }).exec();
+    if (!user) {
+      throw new AppError('user-not-found', 'User not found', 404);
+    }
+
+    const repositoryIds = user.csFollowingRepositories.map(({ _id }) => _id);
+    const followedUsers = await User.find(
+      { _id: { $in: user.csFollowing.map(({ _id }) => _id) } },
+      { 'github.id': 1 }
+    ).exec();
+    // Pull.user.id is GitHub's numeric id, User.github.id stores it as string
+    const githubIds = followedUsers
+      .map((followed) => Number(followed.github?.id))
+      .filter((id) => Number.isInteger(id));
+
+    if (repositoryIds.length === 0 && githubIds.length === 0) {
+      return { items: [], nextCursor: null };
+    }
+
+    const pipeline = [
+      {
+        $match: {
+          $or: [
+            { repository: { $in: repositoryIds } },
+            { 'user.id': { $in: githubIds } },
+          ],
+        },
+      },
+      { $unwind: { path: '$history', includeArrayIndex: 'historyIndex' } },
+    ];
+    if (cursor) {
+      pipeline.push({ $match: getCursorFilter(decodeCursor(cursor)) });
+    }
+    pipeline.push(
+      { $sort: { 'history.at': -1, _id: -1, historyIndex: -1 } },
+      // one more than requested tells if there is a next page
+      { $limit: limit + 1 }
+    );
+
+    const docs = await Pull.aggregate(pipeline);
+    const page = docs.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor =
+      docs.length > limit
+        ? encodeCursor({
+            at: last.history.at,
+            pullId: last._id.toString(),
+            historyIndex: last.historyIndex,
+          })
+        : null;
+
+    const followedRepositoryIds = new Set(
+      repositoryIds.map((id) => id.toString())
+    );
+    const items = page.map((doc) => toFeedItem(doc, followedRepositoryIds));
+
+    logger.info(`getFeed(): ${model} fetched`, {
+      userId,
+      count: items.length,
+      hasMore: Boolean(nextCursor),
+    });
+    return { items, nextCursor };
+  } catch (error) {
+    logger.error(`getFeed(): Failed to get ${model}`, error);
+    throw new AppError(
+      `Failed to get ${model}`,
+      error.message,
+      error.HTTPStatus || 500
+    );
+  }
+};
+
+module.exports = { getFeed };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A follow edge, from a user to a user or a repository. It is the source of
+// truth of the follow graph, the unique index makes a follow happen once.
+// The csFollowers / csFollowing / csFollowingRepositories arrays on User and
+// Repository are kept as a denormalized copy of these edges.
+const schema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Repository'],
+    required: true,
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+schema.index({ follower: 1, targetType: 1, target: 1 }, { unique: true });
+schema.index({ targetType: 1, target: 1, createdAt: -1 });
+schema.index({ follower: 1, targetType: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', schema);
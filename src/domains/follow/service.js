@@ -0,0 +1,523 @@
+const logger = require('../../libraries/log/logger');
+
+const Model = require('./schema');
+const User = require('../user/schema');
+const Repository = require('../repository/schema');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const model = 'follow';
+
+const TARGET_TYPES = {
+  USER: 'User',
+  REPOSITORY: 'Repository',
+};
+
+const targetModels = {
+  [TARGET_TYPES.USER]: User,
+  [TARGET_TYPES.REPOSITORY]: Repository,
+};
+
+// Array of the follower holding the followed targets of each type
+const followingFields = {
+  [TARGET_TYPES.USER]: 'csFollowing',
+  [TARGET_TYPES.REPOSITORY]: 'csFollowingRepositories',
+};
+
+// Summaries returned by the follower and following listings
+const summaryProjections = {
+  [TARGET_TYPES.USER]: {
+    displayName: 1,
+    'github.avatarUrl': 1,
+    'github.profileUrl': 1,
+    'google.picture': 1,
+  },
+  [TARGET_TYPES.REPOSITORY]: {
+    id: 1,
+    name: 1,
+    full_name: 1,
+    'owner.login': 1,
+    'owner.avatar_url': 1,
+    description: 1,
+    html_url: 1,
+    language: 1,
+    stargazers_count: 1,
+  },
+};
+
+// Repositories keep the size of csFollowers, the search sorts by it
+const followersCountFields = {
+  [TARGET_TYPES.REPOSITORY]: 'csFollowersCount',
+};
+
+// Add an entry to the array of a document unless it is already there, and
+// count it when the document keeps a count of the array.
+// A guarded $push is used instead of $addToSet, which would also compare the
+// follow date and add the same edge twice.
+const pushEntry = (Target, documentId, field, entry, countField) =>
+  Target.updateOne(
+    { _id: documentId, [`${field}._id`]: { $ne: entry._id } },
+    {
+      $push: { [field]: entry },
+      ...(countField && { $inc: { [countField]: 1 } }),
+    }
+  );
+
+const pullEntry = (Target, documentId, field, entryId, countField) =>
+  Target.updateOne(
+    { _id: documentId, [`${field}._id`]: entryId },
+    {
+      $pull: { [field]: { _id: entryId } },
+      ...(countField && { $inc: { [countField]: -1 } }),
+    }
+  );
+
+// Copy an edge to the arrays of both sides
+const addEdgeToArrays = ({ follower, targetType, target, createdAt }) =>
+  Promise.all([
+    pushEntry(
+      targetModels[targetType],
+      target,
+      'csFollowers',
+      { _id: follower, date: createdAt },
+      followersCountFields[targetType]
+    ),
+    pushEntry(User, follower, followingFields[targetType], {
+      _id: target,
+      date: createdAt,
+    }),
+  ]);
+
+const removeEdgeFromArrays = ({ follower, targetType, target }) =>
+  Promise.all([
+    pullEntry(
+      targetModels[targetType],
+      target,
+      'csFollowers',
+      follower,
+      followersCountFields[targetType]
+    ),
+    pullEntry(User, follower, followingFields[targetType], target),
+  ]);
+
+// Follow is idempotent: the unique index lets only one edge through, a repeated
+// or concurrent call finds the existing edge. The edge is written first, so if
+// updating the arrays fails the reconciliation job can restore them from it.
+// Returns null when the target does not exist.
+const follow = async (followerId, targetType, targetId) => {
+  // ids are ObjectIds or strings depending on the caller
+  if (
+    targetType === TARGET_TYPES.USER &&
+    String(followerId) === String(targetId)
+  ) {
+    throw new AppError('Cannot follow yourself', 'Cannot follow yourself', 400);
+  }
+  try {
+    const target = await targetModels[targetType].exists({ _id: targetId });
+    if (!target) {
+      return null;
+    }
+
+    const edgeFilter = { follower: followerId, targetType, target: targetId };
+    let edge = null;
+    try {
+      edge = await Model.create(edgeFilter);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      edge = await Model.findOne(edgeFilter);
+    }
+    // the edge is gone if an unfollow ran in between
+    if (edge) {
+      await addEdgeToArrays(edge);
+    }
+
+    logger.info(`follow(): success`, { followerId, targetType, targetId });
+    return true;
+  } catch (error) {
+    logger.error(`follow(): Failed to update follow status`, error);
+    throw new AppError(`Failed to update follow status`, error.message);
+  }
+};
+
+// The arrays are cleared before the edge is deleted, so an edge without
+// matching arrays is always a follow to restore, never an unfollow to finish.
+const unfollow = async (followerId, targetType, targetId) => {
+  try {
+    const target = await targetModels[targetType].exists({ _id: targetId });
+    if (!target) {
+      return null;
+    }
+
+    const edgeFilter = { follower: followerId, targetType, target: targetId };
+    await removeEdgeFromArrays(edgeFilter);
+    await Model.deleteOne(edgeFilter);
+
+    logger.info(`unfollow(): success`, { followerId, targetType, targetId });
+    return true;
+  } catch (error) {
+    logger.error(`unfollow(): Failed to update follow status`, error);
+    throw new AppError(`Failed to update follow status`, error.message);
+  }
+};
+
+// One page of edges, most recent first, each replaced by the summary of the
+// document on the other side
+const getEdgesPage = async (filter, side, sideType, query) => {
+  const { page = 0, limit = 20 } = query;
+  const [total, edges] = await Promise.all([
+    Model.countDocuments(filter),
+    Model.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(page * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const documents = await targetModels[sideType]
+    .find(
+      { _id: { $in: edges.map((edge) => edge[side]) } },
+      summaryProjections[sideType]
+    )
+    .lean();
+  const documentsById = new Map(
+    documents.map((document) => [document._id.toString(), document])
+  );
+  const items = edges
+    .filter((edge) => documentsById.has(edge[side].toString()))
+    .map((edge) => ({
+      ...documentsById.get(edge[side].toString()),
+      followedAt: edge.createdAt,
+    }));
+  return { total, items };
+};
+
+// Users following the target. Returns null when the target does not exist.
+const getFollowers = async (targetType, targetId, query = {}) => {
+  try {
+    const target = await targetModels[targetType].exists({ _id: targetId });
+    if (!target) {
+      return null;
+    }
+    const result = await getEdgesPage(
+      { targetType, target: targetId },
+      'follower',
+      TARGET_TYPES.USER,
+      query
+    );
+    logger.info('getFollowers(): success', {
+      targetType,
+      targetId,
+      total: result.total,
+    });
+    return result;
+  } catch (error) {
+    logger.error(`getFollowers(): Failed to get followers`, error);
+    throw new AppError(`Failed to get followers`, error.message);
+  }
+};
+
+// Users or repositories followed by the user. Returns null when the user does
+// not exist.
+const getFollowing = async (followerId, targetType, query = {}) => {
+  try {
+    const follower = await User.exists({ _id: followerId });
+    if (!follower) {
+      return null;
+    }
+    const result = await getEdgesPage(
+      { follower: followerId, targetType },
+      'target',
+      targetType,
+      query
+    );
+    logger.info('getFollowing(): success', {
+      followerId,
+      targetType,
+      total: result.total,
+    });
+    return result;
+  } catch (error) {
+    logger.error(`getFollowing(): Failed to get following`, error);
+    throw new AppError(`Failed to get following`, error.message);
+  }
+};
+
+// Ids of the users or repositories followed by the user, without paging
+const getFollowingIds = async (followerId, targetType) => {
+  try {
+    const ids = await Model.distinct('target', {
+      follower: followerId,
+      targetType,
+    });
+    logger.info('getFollowingIds(): success', {
+      followerId,
+      targetType,
+      total: ids.length,
+    });
+    return ids;
+  } catch (error) {
+    logger.error(`getFollowingIds(): Failed to get following`, error);
+    throw new AppError(`Failed to get following`, error.message);
+  }
+};
+
+// Create the edges of follows that predate the Follow collection: entries
+// present in the arrays of both sides but without an edge.
+const backfillEdges = async () => {
+  let backfilled = 0;
+  const followers = User.find(
+    {
+      $or: [
+        { 'csFollowing.0': { $exists: true } },
+        { 'csFollowingRepositories.0': { $exists: true } },
+      ],
+    },
+    { csFollowing: 1, csFollowingRepositories: 1 }
+  )
+    .lean()
+    .cursor();
+
+  for await (const follower of followers) {
+    for (const targetType of Object.values(TARGET_TYPES)) {
+      const entries = follower[followingFields[targetType]] ?? [];
+      if (!entries.length) {
+        continue;
+      }
+
+      const edges = await Model.find(
+        { follower: follower._id, targetType },
+        { target: 1 }
+      ).lean();
+      const edgeTargets = new Set(edges.map(({ target }) => target.toString()));
+      const missing = entries.filter(
+        ({ _id }) => !edgeTargets.has(_id.toString())
+      );
+      if (!missing.length) {
+        continue;
+      }
+
+      const symmetricTargets = await targetModels[targetType]
+        .find(
+          {
+            _id: { $in: missing.map(({ _id }) => _id) },
+            'csFollowers._id': follower._id,
+          },
+          { _id: 1 }
+        )
+        .lean();
+      const symmetricIds = new Set(
+        symmetricTargets.map(({ _id }) => _id.toString())
+      );
+      const newEdges = new Map();
+      missing
+        .filter(({ _id }) => symmetricIds.has(_id.toString()))
+        .forEach(({ _id, date }) =>
+          newEdges.set(_id.toString(), {
+            follower: follower._id,
+            targetType,
+            target: _id,
+            createdAt: date ?? new Date(),
+          })
+        );
+      if (!newEdges.size) {
+        continue;
+      }
+
+      try {
+        const inserted = await Model.insertMany([...newEdges.values()], {
+          ordered: false,
+        });
+        backfilled += inserted.length;
+      } catch (error) {
+        // edges created by a concurrent follow are fine
+        if (error.code !== 11000) {
+          throw error;
+        }
+        backfilled += error.insertedDocs?.length ?? 0;
+      }
+    }
+  }
+  return backfilled;
+};
+
+// Delete the edges whose follower or target no longer exists, so the arrays
+// rebuilt from the edges do not bring the deleted documents back
+const deleteDanglingEdges = async () => {
+  const sides = [
+    ...Object.values(TARGET_TYPES).map((targetType) => ({
+      field: 'target',
+      filter: { targetType },
+      Target: targetModels[targetType],
+    })),
+    { field: 'follower', filter: {}, Target: User },
+  ];
+
+  let deleted = 0;
+  for (const { field, filter, Target } of sides) {
+    const ids = await Model.distinct(field, filter);
+    const existing = new Set(
+      (await Target.distinct('_id', { _id: { $in: ids } })).map((id) =>
+        id.toString()
+      )
+    );
+    const dangling = ids.filter((id) => !existing.has(id.toString()));
+    if (dangling.length) {
+      const result = await Model.deleteMany({
+        ...filter,
+        [field]: { $in: dangling },
+      });
+      deleted += result.deletedCount;
+    }
+  }
+  return deleted;
+};
+
+// Make an array of a document match the expected edges: duplicates and
+// entries without an edge are pulled, entries missing for an edge are pushed.
+const reconcileArray = async (Target, document, field, expected) => {
+  const counts = new Map();
+  (document[field] ?? []).forEach(({ _id }) => {
+    const id = _id.toString();
+    counts.set(id, (counts.get(id) ?? 0) + 1);
+  });
+
+  const toPull = [...counts.keys()].filter(
+    (id) => !expected.has(id) || counts.get(id) > 1
+  );
+  const toPush = [...expected.entries()]
+    .filter(([id]) => counts.get(id) !== 1)
+    .map(([, entry]) => entry);
+
+  if (toPull.length) {
+    await Target.updateOne(
+      { _id: document._id },
+      { $pull: { [field]: { _id: { $in: toPull } } } }
+    );
+  }
+  if (toPush.length) {
+    await Target.updateOne(
+      {
+        _id: document._id,
+        [`${field}._id`]: { $nin: toPush.map(({ _id }) => _id) },
+      },
+      { $push: { [field]: { $each: toPush } } }
+    );
+  }
+
+  const removed = toPull.filter((id) => !expected.has(id)).length;
+  const added = toPush.filter(({ _id }) => !counts.has(_id.toString())).length;
+  return { added, removed, deduplicated: toPull.length - removed };
+};
+
+const toExpectedEntries = (edges, side) =>
+  new Map(
+    edges.map((edge) => [
+      edge[side].toString(),
+      { _id: edge[side], date: edge.createdAt },
+    ])
+  );
+
+// Detect and fix asymmetric follow edges: rebuilds the csFollowers,
+// csFollowing and csFollowingRepositories arrays of every User and Repository
+// from the Follow collection, after backfilling the edges of older follows and
+// deleting the edges of deleted users and repositories. The follower counts of
+// the repositories are recounted as well.
+const reconcileFollowGraph = async () => {
+  try {
+    const summary = {
+      backfilled: await backfillEdges(),
+      dangling: await deleteDanglingEdges(),
+      added: 0,
+      removed: 0,
+      deduplicated: 0,
+      recounted: 0,
+      documents: 0,
+    };
+    const addToSummary = (result) => {
+      summary.added += result.added;
+      summary.removed += result.removed;
+      summary.deduplicated += result.deduplicated;
+    };
+
+    const users = User.find(
+      {},
+      { csFollowers: 1, csFollowing: 1, csFollowingRepositories: 1 }
+    )
+      .lean()
+      .cursor();
+    for await (const user of users) {
+      const [followingEdges, followerEdges] = await Promise.all([
+        Model.find({ follower: user._id }).lean(),
+        Model.find({ targetType: TARGET_TYPES.USER, target: user._id }).lean(),
+      ]);
+      for (const targetType of Object.values(TARGET_TYPES)) {
+        const edges = followingEdges.filter(
+          (edge) => edge.targetType === targetType
+        );
+        addToSummary(
+          await reconcileArray(
+            User,
+            user,
+            followingFields[targetType],
+            toExpectedEntries(edges, 'target')
+          )
+        );
+      }
+      addToSummary(
+        await reconcileArray(
+          User,
+          user,
+          'csFollowers',
+          toExpectedEntries(followerEdges, 'follower')
+        )
+      );
+      summary.documents += 1;
+    }
+
+    const countField = followersCountFields[TARGET_TYPES.REPOSITORY];
+    const repositories = Repository.find(
+      {},
+      { csFollowers: 1, [countField]: 1 }
+    )
+      .lean()
+      .cursor();
+    for await (const repository of repositories) {
+      const followerEdges = await Model.find({
+        targetType: TARGET_TYPES.REPOSITORY,
+        target: repository._id,
+      }).lean();
+      const expected = toExpectedEntries(followerEdges, 'follower');
+      addToSummary(
+        await reconcileArray(Repository, repository, 'csFollowers', expected)
+      );
+      if (repository[countField] !== expected.size) {
+        await Repository.updateOne(
+          { _id: repository._id },
+          { [countField]: expected.size }
+        );
+        summary.recounted += 1;
+      }
+      summary.documents += 1;
+    }
+
+    logger.info('reconcileFollowGraph(): done', summary);
+    return summary;
+  } catch (error) {
+    logger.error(
+      `reconcileFollowGraph(): Failed to reconcile ${model}s`,
+      error
+    );
+    throw new AppError(`Failed to reconcile ${model}s`, error.message);
+  }
+};
+
+module.exports = {
+  TARGET_TYPES,
+  follow,
+  unfollow,
+  getFollowers,
+  getFollowing,
+  getFollowingIds,
+  reconcileFollowGraph,
+};
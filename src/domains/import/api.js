@@ -0,0 +1,53 @@
+const express = require('express');
+const logger = require('../../libraries/log/logger');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const { startImport, getById } = require('./service');
+
+const { idSchema, startImportSchema } = require('./request');
+const { validateRequest } = require('../../middlewares/request-validate');
+const { logRequest } = require('../../middlewares/log');
+
+const model = 'Import';
+
+const routes = () => {
+  const router = express.Router();
+  logger.info(`Setting up routes for ${model}`);
+
+  // import the repositories of a GitHub organization or user in the background
+  router.post(
+    '/',
+    logRequest({}),
+    validateRequest({ schema: startImportSchema }),
+    async (req, res, next) => {
+      try {
+        const item = await startImport(req.user._id, req.body);
+        res.status(202).json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // progress of an import
+  router.get(
+    '/:id',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const item = await getById(req.params.id, req.user);
+        if (!item) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { routes };
@@ -0,0 +1,33 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const idSchema = Joi.object().keys({
+  id: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .required(),
+});
+
+const startImportSchema = Joi.object({
+  source: Joi.string().valid('org', 'user', 'starred', 'watched').required(),
+  // GitHub logins are alphanumeric with single hyphens, 39 characters at most
+  owner: Joi.string()
+    .pattern(/^[a-zA-Z0-9-]+$/)
+    .max(39)
+    .when('source', {
+      is: Joi.valid('org', 'user'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+  language: Joi.string().max(50),
+  archived: Joi.boolean(),
+  fork: Joi.boolean(),
+  minStars: Joi.number().integer().min(0),
+  follow: Joi.boolean().default(false),
+});
+
+module.exports = { idSchema, startImportSchema };
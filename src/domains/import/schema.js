@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A bulk import of GitHub repositories into CommitStreams, run in the
+// background. The counters are updated as the import goes, so the document
+// doubles as the progress report.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  source: {
+    type: String,
+    // repositories of an org or user account, or starred and watched by the
+    // importing user
+    enum: ['org', 'user', 'starred', 'watched'],
+    required: true,
+  },
+  // login of the organization or user account, org and user sources only
+  owner: { type: String },
+  filters: {
+    language: String,
+    archived: Boolean,
+    fork: Boolean,
+    minStars: Number,
+  },
+  follow: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued',
+  },
+  // repositories listed on GitHub and left after filtering
+  listed: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  imported: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  failures: [
+    {
+      _id: false,
+      full_name: String,
+      message: String,
+    },
+  ],
+  error: { type: String },
+  startedAt: { type: Date },
+  // renewed by the process running the import, see failInterruptedImports
+  heartbeatAt: { type: Date },
+  finishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+schema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RepositoryImport', schema);
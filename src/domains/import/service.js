@@ -0,0 +1,232 @@
+const validator = require('validator');
+const logger = require('../../libraries/log/logger');
+
+const Model = require('./schema');
+const User = require('../user/schema');
+const {
+  importGitHubRepository,
+  followRepository,
+} = require('../repository/service');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const github = require('../../libraries/util/githubUtils');
+const { decryptGitHubToken } = require('../../auth/util');
+
+const model = 'import';
+
+// Failures kept on the import document, the counters keep counting past it
+const MAX_FAILURES = 100;
+// an import whose heartbeat is older than this is no longer running
+const LEASE_MS = 10 * 60 * 1000;
+
+const matchesFilters = (repository, { language, archived, fork, minStars }) =>
+  (!language ||
+    repository.language?.toLowerCase() === language.toLowerCase()) &&
+  (archived === undefined || repository.archived === archived) &&
+  (fork === undefined || repository.fork === fork) &&
+  (minStars === undefined || repository.stargazers_count >= minStars);
+
+const listRepositories = ({ source, owner }, token) => {
+  if (source === 'starred' || source === 'watched') {
+    return github.fetchUserRepositories(source, token);
+  }
+  return github.fetchOwnerRepositories(owner, source, token);
+};
+
+// Import the listed repositories one at a time, through the repository
+// service, recording the progress on the import document. Every progress
+// update renews the heartbeat.
+const runImport = async (importItem, token) => {
+  const { _id: id, user: userId } = importItem;
+  try {
+    await Model.updateOne(
+      { _id: id },
+      { status: 'running', startedAt: new Date(), heartbeatAt: new Date() }
+    );
+
+    const listed = await listRepositories(importItem, token);
+    const repositories = listed.filter((repository) =>
+      matchesFilters(repository, importItem.filters ?? {})
+    );
+    await Model.updateOne(
+      { _id: id },
+      {
+        listed: listed.length,
+        total: repositories.length,
+        heartbeatAt: new Date(),
+      }
+    );
+
+    for (const listedRepository of repositories) {
+      const { full_name } = listedRepository;
+      try {
+        const repository = await importGitHubRepository(
+          listedRepository,
+          token
+        );
+        if (importItem.follow) {
+          await followRepository(userId, repository._id);
+        }
+        await Model.updateOne(
+          { _id: id },
+          {
+            $inc: { processed: 1, imported: 1 },
+            $set: { heartbeatAt: new Date() },
+          }
+        );
+      } catch (error) {
+        logger.warn(`runImport(): Failed to import ${full_name}`, {
+          id,
+          error: error.message,
+        });
+        await Model.updateOne(
+          { _id: id },
+          {
+            $inc: { processed: 1, failed: 1 },
+            $set: { heartbeatAt: new Date() },
+            $push: {
+              failures: {
+                $each: [{ full_name, message: error.message }],
+                $slice: MAX_FAILURES,
+              },
+            },
+          }
+        );
+      }
+    }
+
+    const finished = await Model.findByIdAndUpdate(
+      id,
+      { status: 'succeeded', finishedAt: new Date() },
+      { new: true }
+    );
+    logger.info(`runImport(): ${model} succeeded`, {
+      id,
+      total: finished.total,
+      imported: finished.imported,
+      failed: finished.failed,
+    });
+  } catch (error) {
+    logger.error(`runImport(): ${model} failed`, error);
+    await Model.updateOne(
+      { _id: id },
+      { status: 'failed', error: error.message, finishedAt: new Date() }
+    );
+  }
+};
+
+// Queue an import for the user and start it in the background.
+// Returns the import document right away, poll it with getById.
+const startImport = async (userId, data) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('user not found', 'user not found', 404);
+  }
+  const token = decryptGitHubToken(user);
+  if (!token) {
+    throw new AppError(
+      'github-not-connected',
+      'GitHub account is not connected',
+      400
+    );
+  }
+
+  try {
+    const { source, owner, follow, language, ...filters } = data;
+    const importItem = await Model.create({
+      user: userId,
+      source,
+      owner,
+      // request strings arrive HTML escaped, e.g. Ren&#x27;Py
+      filters: {
+        ...filters,
+        language: language ? validator.unescape(language) : undefined,
+      },
+      follow,
+    });
+    logger.info(`startImport(): ${model} queued`, {
+      id: importItem._id,
+      source,
+      owner,
+    });
+
+    runImport(importItem, token).catch((error) =>
+      logger.error(`startImport(): Failed to run ${model}`, error)
+    );
+    return importItem;
+  } catch (error) {
+    logger.error(`startImport(): Failed to start ${model}`, error);
+    throw new AppError(`Failed to start ${model}`, error.message);
+  }
+};
+
+// An import of the user, admins can see every import
+const getById = async (id, user) => {
+  try {
+    const filter = user.isAdmin ? { _id: id } : { _id: id, user: user._id };
+    const item = await Model.findOne(filter);
+    logger.info(`getById(): ${model} fetched`, { id, _id: item?._id });
+    return item;
+  } catch (error) {
+    logger.error(`getById(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message, 400);
+  }
+};
+
+// Imports run in the process that started them, the ones left queued or
+// running by a stopped process never finish. They are recognized by their
+// expired heartbeat, the imports of the other running processes are left
+// alone. Called when the app starts and by the scheduler.
+const failInterruptedImports = async (
+  expiredBefore = new Date(Date.now() - LEASE_MS)
+) => {
+  try {
+    const result = await Model.updateMany(
+      {
+        status: { $in: ['queued', 'running'] },
+        $or: [
+          { heartbeatAt: { $lt: expiredBefore } },
+          { heartbeatAt: null, createdAt: { $lt: expiredBefore } },
+        ],
+      },
+      {
+        status: 'failed',
+        error: 'Interrupted by a server restart',
+        finishedAt: new Date(),
+      }
+    );
+    logger.info(`failInterruptedImports(): ${model}s failed`, {
+      count: result.modifiedCount,
+    });
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error(`failInterruptedImports(): Failed to update ${model}s`, error);
+    throw new AppError(`Failed to update ${model}s`, error.message);
+  }
+};
+
+// Import what a new GitHub user already cares about: their starred and
+// watched repositories, optionally followed to seed the feed.
+// Failures are logged only, they never block the login.
+const startGitHubInterestsImport = async (userId, { follow = false } = {}) => {
+  try {
+    return await Promise.all(
+      ['starred', 'watched'].map((source) =>
+        startImport(userId, { source, follow })
+      )
+    );
+  } catch (error) {
+    logger.error(
+      'startGitHubInterestsImport(): Failed to start the imports',
+      error
+    );
+    return [];
+  }
+};
+
+module.exports = {
+  startImport,
+  startGitHubInterestsImport,
+  failInterruptedImports,
+  getById,
+};
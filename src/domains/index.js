@@ -4,6 +4,12 @@ const repositoryRoutes = require('./repository');
 const prRoutes = require('./pull');
 const roleRoutes = require('./role');
 const resourceRoutes = require('./resource');
+const jobRoutes = require('./job');
+const feedRoutes = require('./feed');
+const commitRoutes = require('./commit');
+const importRoutes = require('./import');
+const statsRoutes = require('./stats');
+const tokenRoutes = require('./token');
 
 const defineRoutes = async (expressRouter) => {
   productRoutes(expressRouter);
@@ -12,6 +18,12 @@ const defineRoutes = async (expressRouter) => {
   prRoutes(expressRouter);
   roleRoutes(expressRouter);
   resourceRoutes(expressRouter);
+  jobRoutes(expressRouter);
+  feedRoutes(expressRouter);
+  commitRoutes(expressRouter);
+  importRoutes(expressRouter);
+  statsRoutes(expressRouter);
+  tokenRoutes(expressRouter);
 };
 
 module.exports = defineRoutes;
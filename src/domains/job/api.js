@@ -0,0 +1,64 @@
+const express = require('express');
+const logger = require('../../libraries/log/logger');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const { getJobs, getJob, runJob } = require('./service');
+
+const { nameSchema } = require('./request');
+const { validateRequest } = require('../../middlewares/request-validate');
+const { logRequest } = require('../../middlewares/log');
+const { isAuthorized } = require('../../middlewares/auth/authorization');
+
+const model = 'Job';
+
+// Admin only routes to inspect and trigger the scheduled jobs
+const routes = () => {
+  const router = express.Router();
+  logger.info(`Setting up routes for ${model}`);
+
+  router.get('/', logRequest({}), isAuthorized, async (req, res, next) => {
+    try {
+      const items = getJobs();
+      res.json(items);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get(
+    '/:name',
+    logRequest({}),
+    isAuthorized,
+    validateRequest({ schema: nameSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const item = getJob(req.params.name);
+        if (!item) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.post(
+    '/:name/run',
+    logRequest({}),
+    isAuthorized,
+    validateRequest({ schema: nameSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const item = runJob(req.params.name);
+        res.status(202).json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { routes };
@@ -0,0 +1,7 @@
+const { routes } = require('./api');
+
+const defineRoutes = (expressRouter) => {
+  expressRouter.use('/jobs', routes());
+};
+
+module.exports = defineRoutes;
@@ -0,0 +1,9 @@
+const Joi = require('joi');
+
+const nameSchema = Joi.object().keys({
+  name: Joi.string()
+    .pattern(/^[a-z0-9-]+$/)
+    .required(),
+});
+
+module.exports = { nameSchema };
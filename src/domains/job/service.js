@@ -0,0 +1,94 @@
+const config = require('../../configs');
+const logger = require('../../libraries/log/logger');
+const scheduler = require('../../libraries/scheduler');
+
+const {
+  syncFollowedRepositoriesPullRequests,
+  backfillPullRepositories,
+} = require('../pull/service');
+const {
+  snapshotFollowedRepositories,
+  refreshStaleRepositories,
+} = require('../repository/service');
+const { reconcileFollowGraph } = require('../follow/service');
+const { failInterruptedImports } = require('../import/service');
+const { backfillSessionIndex } = require('../../auth/sessions');
+
+const JOBS = {
+  PULL_SYNC: 'pull-sync',
+  PULL_REPOSITORY_BACKFILL: 'pull-repository-backfill',
+  REPOSITORY_SNAPSHOT: 'repository-snapshot',
+  REPOSITORY_REFRESH: 'repository-refresh',
+  FOLLOW_RECONCILE: 'follow-reconcile',
+  IMPORT_RECOVERY: 'import-recovery',
+  SESSION_INDEX_BACKFILL: 'session-index-backfill',
+};
+
+// Register all the background jobs of the application with the scheduler.
+// Jobs only start ticking once the scheduler is started.
+const registerJobs = () => {
+  scheduler.registerJob({
+    name: JOBS.PULL_SYNC,
+    description:
+      "Sync pull requests of the repositories in any user's following list",
+    cronTime: config.PULL_SYNC_CRON,
+    task: syncFollowedRepositoriesPullRequests,
+  });
+  scheduler.registerJob({
+    name: JOBS.REPOSITORY_SNAPSHOT,
+    description:
+      'Refresh the followed repositories and snapshot their stars, forks and open issues',
+    cronTime: config.REPOSITORY_SNAPSHOT_CRON,
+    task: snapshotFollowedRepositories,
+  });
+  scheduler.registerJob({
+    name: JOBS.REPOSITORY_REFRESH,
+    description:
+      'Refresh the followed repositories with stale data and flag the moved or deleted ones',
+    cronTime: config.REPOSITORY_REFRESH_CRON,
+    task: refreshStaleRepositories,
+  });
+  scheduler.registerJob({
+    name: JOBS.IMPORT_RECOVERY,
+    description:
+      'Fail the imports left running by a stopped server, their heartbeat expired',
+    cronTime: config.IMPORT_RECOVERY_CRON,
+    task: failInterruptedImports,
+  });
+  // one-off, trigger it through the API after deploying the repository reference
+  scheduler.registerJob({
+    name: JOBS.PULL_REPOSITORY_BACKFILL,
+    description: 'Link the pulls without a repository reference to it',
+    task: backfillPullRepositories,
+  });
+  // run it after deploying the Follow collection, and whenever the follow
+  // arrays of users and repositories look out of sync
+  scheduler.registerJob({
+    name: JOBS.FOLLOW_RECONCILE,
+    description:
+      'Backfill the follow edges and repair asymmetric follower and following lists',
+    task: reconcileFollowGraph,
+  });
+  // one-off, trigger it through the API after deploying the session index
+  scheduler.registerJob({
+    name: JOBS.SESSION_INDEX_BACKFILL,
+    description:
+      'Index the logged in sessions of the session store that are not indexed',
+    task: backfillSessionIndex,
+  });
+  logger.info('registerJobs(): jobs registered');
+};
+
+const getJobs = () => scheduler.getJobs();
+
+const getJob = (name) => scheduler.getJob(name);
+
+const runJob = (name) => scheduler.runJob(name);
+
+module.exports = {
+  JOBS,
+  registerJobs,
+  getJobs,
+  getJob,
+  runJob,
+};
@@ -5,7 +5,9 @@ const { AppError } = require('../../libraries/error-handling/AppError');
 const {
   create,
   search,
+  count,
   getById,
+  getHistoryById,
   updateById,
   deleteById,
   fetchGitHubPullRequests,
@@ -16,7 +18,10 @@ const {
   updateSchema,
   idSchema,
   searchSchema,
+  fetchUpdatesSchema,
 } = require('./request');
+const { searchByPull } = require('../commit/service');
+const { searchByPullSchema } = require('../commit/request');
 const { validateRequest } = require('../../middlewares/request-validate');
 const { logRequest } = require('../../middlewares/log');
 
@@ -33,7 +38,6 @@ const routes = () => {
     validateRequest({ schema: searchSchema, isQuery: true }),
     async (req, res, next) => {
       try {
-        // TODO: Add pagination and filtering
         const items = await search(req.query);
         res.json(items);
       } catch (error) {
@@ -56,14 +60,19 @@ const routes = () => {
     }
   );
 
-  router.get('/fetch-updates', logRequest({}), async (req, res, next) => {
-    try {
-      const items = await fetchGitHubPullRequests(req.user);
-      res.json(items);
-    } catch (error) {
-      next(error);
+  router.get(
+    '/fetch-updates',
+    logRequest({}),
+    validateRequest({ schema: fetchUpdatesSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const items = await fetchGitHubPullRequests(req.user, req.query);
+        res.json(items);
+      } catch (error) {
+        next(error);
+      }
     }
-  });
+  );
 
   router.get(
     '/:id',
@@ -82,6 +91,42 @@ const routes = () => {
     }
   );
 
+  router.get(
+    '/:id/history',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const items = await getHistoryById(req.params.id);
+        if (!items) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(items);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.get(
+    '/:id/commits',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: searchByPullSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const pull = await getById(req.params.id);
+        if (!pull) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        const items = await searchByPull(pull._id, req.query);
+        res.status(200).json(items);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
   return router;
 };
 
@@ -23,10 +23,44 @@ const idSchema = Joi.object().keys({
 });
 
 const searchSchema = Joi.object({
-  keyword: Joi.string().allow('').optional().max(10),
+  keyword: Joi.string().allow('').optional().max(100),
+  repository: Joi.string().custom((value, helpers) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  }, 'ObjectId validation'),
+  author: Joi.string().max(39),
+  state: Joi.string().valid('open', 'closed', 'merged'),
+  draft: Joi.boolean(),
+  mergedFrom: Joi.date().iso(),
+  mergedTo: Joi.date()
+    .iso()
+    .when('mergedFrom', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('mergedFrom')),
+    }),
   page: Joi.number().integer().min(0),
-  orderBy: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100),
+  orderBy: Joi.string().valid(
+    'created_at',
+    'updated_at',
+    'merged_at',
+    'closed_at',
+    'number',
+    'title'
+  ),
   order: Joi.string().valid('asc', 'desc'),
 });
 
-module.exports = { createSchema, updateSchema, idSchema, searchSchema };
+const fetchUpdatesSchema = Joi.object({
+  state: Joi.string().valid('open', 'closed', 'all').default('all'),
+});
+
+module.exports = {
+  createSchema,
+  updateSchema,
+  idSchema,
+  searchSchema,
+  fetchUpdatesSchema,
+};
@@ -2,8 +2,32 @@ const mongoose = require('mongoose');
 
 const { baseSchema } = require('../../libraries/db/base-schema');
 
+// A state transition of the pull request, recorded when a sync detects it
+const historySchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: [
+        'opened',
+        'closed',
+        'reopened',
+        'merged',
+        'ready_for_review',
+        'converted_to_draft',
+      ],
+      required: true,
+    },
+    from: { type: String },
+    to: { type: String },
+    at: { type: Date, required: true },
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const schema = new mongoose.Schema({
   id: { type: Number, required: true, unique: true }, // Unique pull request ID
+  repository: { type: mongoose.Schema.Types.ObjectId, ref: 'Repository' }, // the target repository
   node_id: { type: String, required: true },
   html_url: { type: String, required: true },
   number: { type: Number, required: true },
@@ -34,10 +58,12 @@ const schema = new mongoose.Schema({
   changed_files: { type: Number, required: true, default: 0}, 
 
   source_branch: {  // Nested schema for the source branch
-    id: { type: Number, required: true },
-    node_id: { type: String, required: true },
+    // the repository fields are missing when the fork was deleted
+    id: { type: Number },
+    node_id: { type: String },
     name: { type: String, required: true },
-    full_name: { type: String, required: true }
+    full_name: { type: String },
+    sha: { type: String }
   },
 
   target_branch: {  // Nested schema for the target branch
@@ -45,9 +71,26 @@ const schema = new mongoose.Schema({
     node_id: { type: String, required: true },
     name: { type: String, required: true },
     full_name: { type: String, required: true }
-  }
+  },
+
+  history: [historySchema],
+
+  // head sha the commits were last synced at, they are synced again once the
+  // head moves
+  commitsSyncedSha: { type: String },
 });
 
 schema.add(baseSchema);
 
+// used to find the sync watermark and to list the pulls of a repository
+schema.index({ repository: 1, updated_at: -1 });
+schema.index({ repository: 1, state: 1, created_at: -1 });
+schema.index({ 'target_branch.id': 1 });
+// used by the feed to find the pulls of followed users
+schema.index({ 'user.id': 1 });
+// used by the pull request stats of an author
+schema.index({ 'user.login': 1, created_at: -1 });
+// used to query the timeline of events across pull requests
+schema.index({ 'history.event': 1, 'history.at': -1 });
+
 module.exports = mongoose.model('Pull', schema);
@@ -1,12 +1,18 @@
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const config = require('../../configs');
 const logger = require('../../libraries/log/logger');
 
 const User = require('../user/schema');
 const Repository = require('../repository/schema');
 const Model = require('./schema');
 const { AppError } = require('../../libraries/error-handling/AppError');
-const { decryptToken } = require('../../auth');
+const { decryptGitHubToken } = require('../../auth');
 
 const { fetchRepoPullRequests } = require('../../libraries/util/githubUtils');
+const { syncPullRequestCommits } = require('../commit/service');
+const { getFollowedRepositoryTokens } = require('../repository/service');
 
 const model = 'pull';
 
@@ -24,17 +30,62 @@ const create = async (data) => {
   }
 };
 
+const getSearchFilter = (query) => {
+  const { keyword, repository, author, state, draft, mergedFrom, mergedTo } =
+    query ?? {};
+
+  const filter = {};
+  if (keyword) {
+    // the request validation html-escapes strings, e.g. the / of owner/name
+    const pattern = _.escapeRegExp(validator.unescape(keyword));
+    // like search on multiple fields with keyword
+    filter.$or = [
+      { title: { $regex: pattern, $options: 'i' } },
+      { 'user.login': { $regex: pattern, $options: 'i' } },
+      { 'target_branch.full_name': { $regex: pattern, $options: 'i' } },
+    ];
+  }
+  if (repository) {
+    filter.repository = repository;
+  }
+  if (author) {
+    filter['user.login'] = author;
+  }
+  if (state) {
+    filter.state = state;
+  }
+  if (draft !== undefined) {
+    filter.draft = draft;
+  }
+  if (mergedFrom || mergedTo) {
+    filter.merged_at = {};
+    if (mergedFrom) {
+      filter.merged_at.$gte = mergedFrom;
+    }
+    if (mergedTo) {
+      filter.merged_at.$lte = mergedTo;
+    }
+  }
+  return filter;
+};
+
 const search = async (query) => {
   try {
-    const { keyword } = query ?? {};
-    const filter = {};
-    if (keyword) {
-      filter.or = [
-        { name: { regex: keyword, options: 'i' } },
-        { description: { regex: keyword, options: 'i' } },
-      ];
-    }
-    const items = await Model.find(filter).sort({ updated_at: -1 });
+    logger.info(`search(): ${model} search`, { query });
+    const {
+      page = 0,
+      limit = 10,
+      orderBy = 'updated_at',
+      order = 'desc',
+    } = query ?? {};
+    const filter = getSearchFilter(query);
+
+    // implement paginated search with order and orderBy
+    const items = await Model.find(filter, { history: 0 })
+      .sort({ [orderBy]: order === 'asc' ? 1 : -1, _id: 1 })
+      .skip(page * limit)
+      .limit(limit);
+
     logger.info('search(): filter and count', {
       filter,
       count: items.length,
@@ -46,6 +97,71 @@ const search = async (query) => {
   }
 };
 
+// count of the items without skip and limit
+const count = async (query) => {
+  try {
+    const filter = getSearchFilter(query);
+    const total = await Model.countDocuments(filter);
+    logger.info('count(): filter and count', {
+      filter,
+      count: total,
+    });
+    return total;
+  } catch (error) {
+    logger.error(`count(): Failed to count ${model}`, error);
+    throw new AppError(`Failed to count ${model}`, error.message, 400);
+  }
+};
+
+const getRepositoryFilter = (repositoryId, { state } = {}) => {
+  const filter = { repository: repositoryId };
+  if (state) {
+    filter.state = state;
+  }
+  return filter;
+};
+
+const searchByRepository = async (repositoryId, query) => {
+  try {
+    const {
+      page = 0,
+      limit = 10,
+      orderBy = 'updated_at',
+      order = 'desc',
+    } = query ?? {};
+    const filter = getRepositoryFilter(repositoryId, query);
+
+    const items = await Model.find(filter, { history: 0 })
+      .sort({ [orderBy]: order === 'asc' ? 1 : -1, _id: 1 })
+      .skip(page * limit)
+      .limit(limit);
+
+    logger.info('searchByRepository(): filter and count', {
+      filter,
+      count: items.length,
+    });
+    return items;
+  } catch (error) {
+    logger.error(`searchByRepository(): Failed to search ${model}`, error);
+    throw new AppError(`Failed to search ${model}`, error.message, 400);
+  }
+};
+
+const countByRepository = async (repositoryId, query) => {
+  try {
+    const filter = getRepositoryFilter(repositoryId, query);
+    const total = await Model.countDocuments(filter);
+    logger.info('countByRepository(): filter and count', {
+      filter,
+      count: total,
+    });
+    return total;
+  } catch (error) {
+    logger.error(`countByRepository(): Failed to count ${model}`, error);
+    throw new AppError(`Failed to count ${model}`, error.message, 400);
+  }
+};
+
 const getById = async (id) => {
   try {
     const item = await Model.findById(id);
@@ -57,6 +173,20 @@ const getById = async (id) => {
   }
 };
 
+const getHistoryById = async (id) => {
+  try {
+    const item = await Model.findById(id, { history: 1 });
+    logger.info(`getHistoryById(): ${model} history fetched`, { id });
+    if (!item) {
+      return null;
+    }
+    return [...item.history].sort((a, b) => a.at - b.at);
+  } catch (error) {
+    logger.error(`getHistoryById(): Failed to get ${model} history`, error);
+    throw new AppError(`Failed to get ${model} history`, error.message);
+  }
+};
+
 const updateById = async (id, data) => {
   try {
     const item = await Model.findByIdAndUpdate(id, data, { new: true });
@@ -85,7 +215,8 @@ const mapPullRequestData = (payload) => {
     node_id: payload.node_id,
     html_url: payload.html_url,
     number: payload.number,
-    state: payload.state,
+    // GitHub reports merged pull requests as closed with a merged_at date
+    state: payload.merged_at ? 'merged' : payload.state,
     locked: payload.locked,
     title: payload.title,
 
@@ -104,7 +235,7 @@ const mapPullRequestData = (payload) => {
     draft: payload.draft,
 
     // pull request details
-    merged: payload.merged,
+    merged: payload.merged ?? Boolean(payload.merged_at),
     comments: payload.comments,
     review_comments: payload.review_comments,
     commits: payload.commits,
@@ -112,11 +243,13 @@ const mapPullRequestData = (payload) => {
     deletions: payload.deletions,
     changed_files: payload.changed_files,
 
+    // GitHub sends no head repo when the fork of the pull request is deleted
     source_branch: {
-      id: payload.head.repo.id,
-      node_id: payload.head.repo.node_id,
+      id: payload.head.repo?.id,
+      node_id: payload.head.repo?.node_id,
       name: payload.head.ref,
-      full_name: payload.head.repo.full_name,
+      full_name: payload.head.repo?.full_name,
+      sha: payload.head.sha,
     },
 
     target_branch: {
@@ -128,41 +261,242 @@ const mapPullRequestData = (payload) => {
   };
 };
 
-const fetchGitHubPullRequests = async (user) => {
+// Fields refreshed from GitHub when an existing pull request is re-synced
+const SYNCED_FIELDS = [
+  'repository',
+  'state',
+  'locked',
+  'title',
+  'updated_at',
+  'closed_at',
+  'merged_at',
+  'draft',
+  'merged',
+  'comments',
+  'review_comments',
+  'commits',
+  'additions',
+  'deletions',
+  'changed_files',
+  'source_branch',
+  'target_branch',
+];
+
+const toComparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  return value ?? null;
+};
+
+// Only the fields GitHub actually sent and that differ from the stored ones.
+// The list endpoint omits the counts, those are kept as they are.
+const getChangedFields = (dbPull, pullRequest) => {
+  const stored = dbPull.toObject();
+  return SYNCED_FIELDS.reduce((changes, field) => {
+    const value = pullRequest[field];
+    if (value === undefined) {
+      return changes;
+    }
+    if (!_.isEqual(toComparable(stored[field]), toComparable(value))) {
+      changes[field] = value;
+    }
+    return changes;
+  }, {});
+};
+
+const getStateTransitions = (previous, pullRequest) => {
+  const transitions = [];
+  const { state, draft } = pullRequest;
+
+  if (state && previous.state !== state) {
+    let event = 'reopened';
+    let at = pullRequest.updated_at;
+    if (state === 'merged') {
+      event = 'merged';
+      at = pullRequest.merged_at;
+    } else if (state === 'closed') {
+      event = 'closed';
+      at = pullRequest.closed_at;
+    }
+    transitions.push({ event, from: previous.state, to: state, at });
+  }
+
+  if (draft !== undefined && previous.draft !== draft) {
+    transitions.push({
+      event: draft ? 'converted_to_draft' : 'ready_for_review',
+      from: previous.draft ? 'draft' : 'ready',
+      to: draft ? 'draft' : 'ready',
+      at: pullRequest.updated_at,
+    });
+  }
+
+  return transitions.map((transition) => ({
+    ...transition,
+    at: transition.at || pullRequest.updated_at || new Date(),
+  }));
+};
+
+const getInitialHistory = (pullRequest) => {
+  const opened = {
+    event: 'opened',
+    from: null,
+    to: 'open',
+    at: pullRequest.created_at,
+  };
+  // a pull request seen for the first time might already be closed or merged
+  const transitions = getStateTransitions(
+    { state: 'open', draft: pullRequest.draft },
+    pullRequest
+  );
+  return [opened, ...transitions];
+};
+
+const upsertPullRequest = async (pullRequest) => {
+  const dbPull = await Model.findOne({ id: pullRequest.id }).exec();
+  if (!dbPull) {
+    return create({ ...pullRequest, history: getInitialHistory(pullRequest) });
+  }
+
+  // webhook deliveries arrive out of order and overlap with the polling, an
+  // older payload must not bring back an older state
+  if (new Date(pullRequest.updated_at) <= dbPull.updated_at) {
+    logger.info('upsertPullRequest(): Pull request is not newer, skipped', {
+      id: dbPull._id,
+    });
+    return dbPull;
+  }
+
+  const changes = getChangedFields(dbPull, pullRequest);
+  if (Object.keys(changes).length === 0) {
+    logger.info('upsertPullRequest(): Pull request is up to date', {
+      id: dbPull._id,
+    });
+    return dbPull;
+  }
+
+  const transitions = getStateTransitions(dbPull, pullRequest);
+  const update = { $set: { ...changes, updatedAt: new Date() } };
+  if (transitions.length) {
+    update.$push = { history: { $each: transitions } };
+  }
+
+  // the updated_at condition makes concurrent syncs of the same pull request
+  // record a transition only once
+  const updated = await Model.findOneAndUpdate(
+    { _id: dbPull._id, updated_at: dbPull.updated_at },
+    update,
+    { new: true }
+  ).exec();
+  if (!updated) {
+    logger.info('upsertPullRequest(): Pull request changed concurrently', {
+      id: dbPull._id,
+    });
+    return Model.findById(dbPull._id).exec();
+  }
+
+  logger.info('upsertPullRequest(): Pull request updated', {
+    id: updated._id,
+    fields: Object.keys(changes),
+    transitions: transitions.map(({ event }) => event),
+  });
+  return updated;
+};
+
+// The newest updated_at synced for the repository and state. GitHub pull
+// requests of that state updated before this are already in the database,
+// a sync of another state does not cover them.
+const getSyncWatermark = (repository, state) =>
+  repository.pullSyncWatermarks?.[state] ?? null;
+
+// Move the watermark of the state forward once its sync is stored
+const setSyncWatermark = async (repository, state, pullRequests) => {
+  const newest = _.maxBy(pullRequests, (pullRequest) =>
+    new Date(pullRequest.updated_at).getTime()
+  );
+  if (!newest) {
+    return;
+  }
+  await Repository.updateOne(
+    { _id: repository._id },
+    { $max: { [`pullSyncWatermarks.${state}`]: new Date(newest.updated_at) } }
+  ).exec();
+};
+
+// Pulls of the repository whose head moved since their commits were synced,
+// the most recently updated first
+const getPullsWithUnsyncedCommits = (repository, limit) =>
+  Model.find({
+    repository: repository._id,
+    'source_branch.sha': { $exists: true },
+    $expr: { $ne: ['$source_branch.sha', '$commitsSyncedSha'] },
+  })
+    .sort({ updated_at: -1 })
+    .limit(limit)
+    .exec();
+
+const syncRepositoryPullRequests = async (
+  repository,
+  token,
+  { state = 'all' } = {}
+) => {
+  const { owner, name } = repository;
+  const since = getSyncWatermark(repository, state);
+  const pullRequests = await fetchRepoPullRequests(owner.login, name, token, {
+    state,
+    since,
+  });
+  logger.info('syncRepositoryPullRequests(): pull requests fetched', {
+    repository: repository.full_name,
+    state,
+    since,
+    count: pullRequests.length,
+  });
+  const mappedPullRequests = pullRequests.map((pullRequest) => ({
+    ...mapPullRequestData(pullRequest),
+    repository: repository._id,
+  }));
+  const pulls = await Promise.all(mappedPullRequests.map(upsertPullRequest));
+  await setSyncWatermark(repository, state, pullRequests);
+
+  // a capped number of pulls per run so one large repository does not use up
+  // the rate limit, the next runs sync the rest
+  const unsyncedPulls = await getPullsWithUnsyncedCommits(
+    repository,
+    config.PULL_COMMITS_SYNC_LIMIT
+  );
+  for (const pull of unsyncedPulls) {
+    try {
+      await syncPullRequestCommits(pull, repository, token);
+      await Model.updateOne(
+        { _id: pull._id },
+        { commitsSyncedSha: pull.source_branch.sha }
+      ).exec();
+    } catch (error) {
+      logger.warn('syncRepositoryPullRequests(): commits not synced', {
+        pullId: pull._id,
+        error: error.message,
+      });
+    }
+  }
+  return pulls;
+};
+
+const fetchGitHubPullRequests = async (user, { state } = {}) => {
   try {
     const { _id } = user;
     const dbUser = await User.findById(_id).exec();
 
-    const { accessToken, accessTokenIV, csFollowingRepositories } = dbUser;
-    const token = decryptToken(accessToken, accessTokenIV);
+    const { csFollowingRepositories } = dbUser;
+    const token = decryptGitHubToken(dbUser);
 
     const repoPromises = csFollowingRepositories.map(async (repo) => {
       const { _id } = repo;
       const dbRepository = await Repository.findById(_id).exec();
-      const { owner, name } = dbRepository;
-      const pullRequests = await fetchRepoPullRequests(
-        owner.login,
-        name,
-        token
-      );
-
-      const mappedPullRequests = pullRequests.map(mapPullRequestData);
-      const promises = mappedPullRequests.map(async (pullRequest) => {
-        const dbPull = await Model.findOne({ id: pullRequest.id }).exec();
-        if (dbPull) {
-          logger.info(
-            'fetchGitHubPullRequests(): Pull request already exists',
-            {
-              id: dbPull._id,
-            }
-          );
-          return dbPull;
-        }
-
-        const saved = await create(pullRequest);
-        return saved;
-      });
-      return Promise.all(promises);
+      return syncRepositoryPullRequests(dbRepository, token, { state });
     });
     const result = await Promise.all(repoPromises);
     logger.info('fetchGitHubPullRequests(): Pull requests fetched', {
@@ -177,11 +511,77 @@ const fetchGitHubPullRequests = async (user) => {
   }
 };
 
+// Link the pulls stored before the repository reference existed.
+// The target branch's repository id is the GitHub id of the repository.
+const backfillPullRepositories = async () => {
+  const githubIds = await Model.distinct('target_branch.id', {
+    repository: null,
+  });
+
+  const summary = { updated: 0, missing: [] };
+  for (const githubId of githubIds) {
+    const repository = await Repository.findOne(
+      { id: githubId },
+      { _id: 1 }
+    ).exec();
+    if (!repository) {
+      summary.missing.push(githubId);
+      continue;
+    }
+    const result = await Model.updateMany(
+      { 'target_branch.id': githubId, repository: null },
+      { $set: { repository: repository._id } }
+    );
+    summary.updated += result.modifiedCount;
+  }
+
+  logger.info('backfillPullRepositories(): done', summary);
+  return summary;
+};
+
+// Used by the scheduler: sync the pull requests of every repository that is
+// followed by at least one user, using the GitHub token of one of its followers
+const syncFollowedRepositoriesPullRequests = async () => {
+  const tokensByRepository = await getFollowedRepositoryTokens();
+
+  const summary = { repositories: 0, pulls: 0, failed: [] };
+  // one repository at a time to stay gentle with the GitHub rate limit
+  for (const [repositoryId, token] of tokensByRepository) {
+    try {
+      const dbRepository = await Repository.findById(repositoryId).exec();
+      if (!dbRepository) {
+        continue;
+      }
+      const pulls = await syncRepositoryPullRequests(dbRepository, token);
+      summary.repositories += 1;
+      summary.pulls += pulls.length;
+    } catch (error) {
+      logger.error(
+        `syncFollowedRepositoriesPullRequests(): Failed to sync repository ${repositoryId}`,
+        error
+      );
+      summary.failed.push({ repositoryId, error: error.message });
+    }
+  }
+
+  logger.info('syncFollowedRepositoriesPullRequests(): done', summary);
+  return summary;
+};
+
 module.exports = {
   create,
   search,
+  count,
+  searchByRepository,
+  countByRepository,
   getById,
+  getHistoryById,
   updateById,
   deleteById,
+  mapPullRequestData,
+  upsertPullRequest,
+  syncRepositoryPullRequests,
   fetchGitHubPullRequests,
+  backfillPullRepositories,
+  syncFollowedRepositoriesPullRequests,
 };
@@ -7,11 +7,16 @@ const {
   search,
   count,
   searchOne,
+  getByFullName,
   getById,
   updateById,
   deleteById,
   fetchGitHubRepoDetails,
   followRepository,
+  unfollowRepository,
+  getFollowers,
+  refreshRepository,
+  createWebhookSecret,
 } = require('./service');
 
 const {
@@ -20,9 +25,22 @@ const {
   idSchema,
   searchSchema,
   fetchRepoSchema,
+  fullNameSchema,
+  pullsSearchSchema,
+  statsHistorySchema,
+  followersSchema,
 } = require('./request');
+const {
+  searchByRepository,
+  countByRepository,
+} = require('../pull/service');
+const { getHistory } = require('../snapshot/service');
+const { getPullStats, getContributors } = require('../stats/service');
+const { pullStatsSchema, contributorsSchema } = require('../stats/request');
 const { validateRequest } = require('../../middlewares/request-validate');
 const { logRequest } = require('../../middlewares/log');
+const { isAuthorized } = require('../../middlewares/auth/authorization');
+const config = require('../../configs');
 
 const model = 'Repository';
 
@@ -38,8 +56,7 @@ const routes = () => {
     validateRequest({ schema: searchSchema, isQuery: true }),
     async (req, res, next) => {
       try {
-        // TODO: Add pagination and filtering
-        const items = await search(req.query);
+        const items = await search(req.query, req.user._id);
         res.json(items);
       } catch (error) {
         next(error);
@@ -54,7 +71,7 @@ const routes = () => {
     validateRequest({ schema: searchSchema, isQuery: true }),
     async (req, res, next) => {
       try {
-        const total = await count(req.query);
+        const total = await count(req.query, req.user._id);
         res.json({ total });
       } catch (error) {
         next(error);
@@ -78,6 +95,32 @@ const routes = () => {
     }
   );
 
+  // '/by-name/:owner/:name' lookup by GitHub owner/name. An old name of a
+  // renamed or transferred repository redirects to its current name.
+  router.get(
+    '/by-name/:owner/:name',
+    logRequest({}),
+    validateRequest({ schema: fullNameSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const { owner, name } = req.params;
+        const { repository, renamed } = await getByFullName(`${owner}/${name}`);
+        if (!repository) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        if (renamed) {
+          return res.redirect(
+            301,
+            `${req.baseUrl}/by-name/${repository.full_name}`
+          );
+        }
+        res.status(200).json(repository);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
   // '/fetch-from-github' fetch repository details from GitHub API
   router.post(
     '/fetch-from-github',
@@ -98,8 +141,49 @@ const routes = () => {
     }
   );
 
+  //'/:id/webhook' generate the secret for the repository's GitHub webhook
+  router.post(
+    '/:id/webhook',
+    logRequest({}),
+    isAuthorized,
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const result = await createWebhookSecret(req.params.id);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(201).json({
+          url: `${config.HOST}/api/webhooks/github`,
+          contentType: 'application/json',
+          secret: result.secret,
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  //'/:id/refresh'
+  router.post(
+    '/:id/refresh',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const item = await refreshRepository(req.params.id, req.user);
+        if (!item) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
   //'/:id/follow'
-  router.get(
+  router.post(
     '/:id/follow',
     logRequest({}),
     validateRequest({ schema: idSchema, isParam: true }),
@@ -107,6 +191,27 @@ const routes = () => {
       const currentUserId = req.user._id;
       try {
         const result = await followRepository(currentUserId, req.params.id);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json({ result });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.delete(
+    '/:id/follow',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      const currentUserId = req.user._id;
+      try {
+        const result = await unfollowRepository(currentUserId, req.params.id);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
         res.status(200).json({ result });
       } catch (error) {
         next(error);
@@ -114,6 +219,131 @@ const routes = () => {
     }
   );
 
+  //'/:id/followers'
+  router.get(
+    '/:id/followers',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: followersSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const result = await getFollowers(req.params.id, req.query);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  //'/:id/pulls'
+  router.get(
+    '/:id/pulls',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: pullsSearchSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const repository = await getById(req.params.id);
+        if (!repository) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        const items = await searchByRepository(repository._id, req.query);
+        res.json(items);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  //'/:id/pulls/count'
+  router.get(
+    '/:id/pulls/count',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: pullsSearchSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const repository = await getById(req.params.id);
+        if (!repository) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        const total = await countByRepository(repository._id, req.query);
+        res.json({ total });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  //'/:id/stats/history'
+  router.get(
+    '/:id/stats/history',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: statsHistorySchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const repository = await getById(req.params.id);
+        if (!repository) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        const history = await getHistory(repository._id, req.query);
+        res.json(history);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  //'/:id/stats/pulls'
+  router.get(
+    '/:id/stats/pulls',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: pullStatsSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const repository = await getById(req.params.id);
+        if (!repository) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        const stats = await getPullStats(
+          { repository: repository._id },
+          req.query
+        );
+        res.json(stats);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  //'/:id/contributors'
+  router.get(
+    '/:id/contributors',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: contributorsSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const repository = await getById(req.params.id);
+        if (!repository) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        const contributors = await getContributors(
+          { repository: repository._id },
+          req.query
+        );
+        res.json(contributors);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
   //'/:id',
   router.get(
     '/:id',
@@ -27,11 +27,105 @@ const fetchRepoSchema = Joi.object().keys({
   repository: Joi.string().required(),
 });
 
+// owner/name of a GitHub repository
+const fullNameSchema = Joi.object().keys({
+  owner: Joi.string()
+    .pattern(/^[a-zA-Z0-9-]+$/)
+    .max(39)
+    .required(),
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9._-]+$/)
+    .max(100)
+    .required(),
+});
+
+// a single value or a list, e.g. ?topics=api&topics=cli
+const listOf = (item) => Joi.array().items(item).single().max(10);
+
 const searchSchema = Joi.object({
-  keyword: Joi.string().allow('').optional().max(10),
+  keyword: Joi.string().allow('').optional().max(100),
+  topics: listOf(
+    Joi.string()
+      .lowercase()
+      .pattern(/^[a-z0-9][a-z0-9-]*$/)
+      .max(50)
+  ),
+  // keys of the languages map, e.g. JavaScript, C++, Jupyter Notebook
+  languages: listOf(
+    Joi.string()
+      .pattern(/^[^.$]+$/)
+      .max(50)
+  ),
+  starsMin: Joi.number().integer().min(0),
+  starsMax: Joi.number()
+    .integer()
+    .min(0)
+    .when('starsMin', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('starsMin')),
+    }),
+  forksMin: Joi.number().integer().min(0),
+  forksMax: Joi.number()
+    .integer()
+    .min(0)
+    .when('forksMin', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('forksMin')),
+    }),
+  archived: Joi.boolean(),
+  fork: Joi.boolean(),
+  license: Joi.string()
+    .pattern(/^[a-zA-Z0-9.+-]+$/)
+    .max(50),
+  followed: Joi.boolean(),
   page: Joi.number().integer().min(0),
-  orderBy: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100),
+  orderBy: Joi.string().valid(
+    'relevance',
+    'full_name',
+    'pushed_at',
+    'stargazers_count',
+    'forks_count',
+    'followers'
+  ),
   order: Joi.string().valid('asc', 'desc'),
 });
 
-module.exports = { createSchema, updateSchema, idSchema, searchSchema, fetchRepoSchema };
+const pullsSearchSchema = Joi.object({
+  state: Joi.string().valid('open', 'closed', 'merged'),
+  page: Joi.number().integer().min(0),
+  limit: Joi.number().integer().min(1).max(100),
+  orderBy: Joi.string().valid(
+    'created_at',
+    'updated_at',
+    'merged_at',
+    'closed_at',
+    'number'
+  ),
+  order: Joi.string().valid('asc', 'desc'),
+});
+
+const statsHistorySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  interval: Joi.string().valid('day', 'week', 'month').default('day'),
+});
+
+const followersSchema = Joi.object({
+  page: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+module.exports = {
+  createSchema,
+  updateSchema,
+  idSchema,
+  searchSchema,
+  fetchRepoSchema,
+  fullNameSchema,
+  pullsSearchSchema,
+  statsHistorySchema,
+  followersSchema,
+};
@@ -37,6 +37,40 @@ const schema = new mongoose.Schema({
   visibility: String,
   default_branch: String,
 
+  // secret of the GitHub webhook, encrypted, never returned by the API
+  webhook: {
+    secret: { type: String, select: false },
+    secretIV: { type: String, select: false },
+    createdAt: Date,
+  },
+
+  // previous full names after renames and transfers, oldest first, so
+  // lookups by an old owner/name still find the repository
+  nameHistory: [
+    {
+      _id: false,
+      full_name: String,
+      changedAt: Date,
+    },
+  ],
+
+  // outcome of the last refresh from GitHub: ok, moved (renamed or
+  // transferred, movedTo is the new full name) or not_found (deleted or no
+  // longer visible)
+  sync: {
+    status: { type: String, enum: ['ok', 'moved', 'not_found'] },
+    checkedAt: Date,
+    movedTo: String,
+  },
+
+  // newest updated_at of the pull requests synced per requested state, a sync
+  // only fetches the pull requests of its state updated since
+  pullSyncWatermarks: {
+    open: Date,
+    closed: Date,
+    all: Date,
+  },
+
   // commitstreams related similar properties
   csFollowers: [
     {
@@ -44,8 +78,30 @@ const schema = new mongoose.Schema({
       date: { type: Date, default: Date.now },
     },
   ],
+  // size of csFollowers, kept by the follow service to sort by followers
+  csFollowersCount: { type: Number, default: 0 },
 });
 
 schema.add(baseSchema);
 
+schema.index({ full_name: 1 });
+schema.index({ 'nameHistory.full_name': 1 });
+
+// search: keyword, filters and sorts
+schema.index(
+  { full_name: 'text', description: 'text', topics: 'text' },
+  {
+    weights: { full_name: 10, topics: 5, description: 1 },
+    name: 'search_text',
+  }
+);
+schema.index({ topics: 1 });
+schema.index({ 'languages.$**': 1 });
+schema.index({ 'license.spdx_id': 1 });
+schema.index({ 'csFollowers._id': 1 });
+schema.index({ stargazers_count: -1 });
+schema.index({ forks_count: -1 });
+schema.index({ pushed_at: -1 });
+schema.index({ csFollowersCount: -1 });
+
 module.exports = mongoose.model('Repository', schema);
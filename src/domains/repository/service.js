@@ -1,15 +1,37 @@
+const config = require('../../configs');
 const logger = require('../../libraries/log/logger');
 
 const Model = require('./schema');
 const User = require('../user/schema');
+const { recordSnapshot } = require('../snapshot/service');
+const {
+  TARGET_TYPES,
+  follow,
+  unfollow,
+  getFollowers: getTargetFollowers,
+} = require('../follow/service');
 const { AppError } = require('../../libraries/error-handling/AppError');
 
 const github = require('../../libraries/util/githubUtils');
-const { decryptToken } = require('../../auth');
+const crypto = require('crypto');
+const _ = require('lodash');
+const validator = require('validator');
+const {
+  encryptToken,
+  decryptToken,
+  decryptGitHubToken,
+} = require('../../auth/util');
 
 const model = 'repository';
 const projection = {};
 
+// Outcome of the last refresh from GitHub, see refreshFromGitHub
+const SYNC_STATUS = {
+  OK: 'ok',
+  MOVED: 'moved',
+  NOT_FOUND: 'not_found',
+};
+
 const create = async (data) => {
   try {
     const item = new Model(data);
@@ -24,32 +46,95 @@ const create = async (data) => {
   }
 };
 
-const search = async (query) => {
+// Sort fields accepted by the search, `followers` sorts by csFollowersCount
+const SORT_FIELDS = {
+  followers: 'csFollowersCount',
+};
+
+// Build the search filter shared by search and count.
+// The keyword goes through the text index on full_name, description and
+// topics, the other filters through their own indexes.
+const getSearchFilter = (query, userId) => {
+  const {
+    keyword,
+    topics,
+    languages,
+    starsMin,
+    starsMax,
+    forksMin,
+    forksMax,
+    archived,
+    fork,
+    license,
+    followed,
+  } = query ?? {};
+
+  const filter = {};
+  if (keyword) {
+    // the request validation html-escapes strings, e.g. the / of owner/name
+    filter.$text = { $search: validator.unescape(keyword) };
+  }
+  if (topics?.length) {
+    filter.topics = { $all: topics };
+  }
+  // languages is a map of language name to bytes of code
+  languages?.forEach((language) => {
+    filter[`languages.${validator.unescape(language)}`] = { $exists: true };
+  });
+  const addRange = (field, min, max) => {
+    if (min === undefined && max === undefined) {
+      return;
+    }
+    filter[field] = {};
+    if (min !== undefined) {
+      filter[field].$gte = min;
+    }
+    if (max !== undefined) {
+      filter[field].$lte = max;
+    }
+  };
+  addRange('stargazers_count', starsMin, starsMax);
+  addRange('forks_count', forksMin, forksMax);
+  if (archived !== undefined) {
+    filter.archived = archived;
+  }
+  if (fork !== undefined) {
+    filter.fork = fork;
+  }
+  if (license) {
+    filter['license.spdx_id'] = license;
+  }
+  if (followed !== undefined && userId) {
+    filter['csFollowers._id'] = followed ? userId : { $ne: userId };
+  }
+  return filter;
+};
+
+const search = async (query, userId) => {
   try {
     logger.info(`search(): ${model} search`, { query });
-    const pageSize = 10;
-    const {
-      keyword,
-      page = 0,
-      orderBy = 'full_name',
-      order = 'asc',
-    } = query ?? {};
-
-    const filter = {};
-    if (keyword) {
-      // like search on multiple fields with keyword
-      filter.$or = [
-        { full_name: { $regex: keyword, $options: 'i' } },
-        { language: { $regex: keyword, $options: 'i' } },
-        // { topics: { $regex: keyword, $options: 'i' } },
-      ];
+    const { keyword, page = 0, limit = 10, order = 'asc' } = query ?? {};
+    // sorting by relevance needs a keyword, it is the default then
+    let { orderBy = keyword ? 'relevance' : 'full_name' } = query ?? {};
+    if (orderBy === 'relevance' && !keyword) {
+      orderBy = 'full_name';
     }
+    const filter = getSearchFilter(query, userId);
 
     // implement paginated search with order and orderBy
-    const items = await Model.find(filter, projection)
-      .sort({ [orderBy]: order === 'asc' ? 1 : -1 })
-      .skip(page * pageSize)
-      .limit(pageSize);
+    const sort =
+      orderBy === 'relevance'
+        ? { score: { $meta: 'textScore' } }
+        : { [SORT_FIELDS[orderBy] ?? orderBy]: order === 'asc' ? 1 : -1 };
+    const items = await Model.find(
+      filter,
+      orderBy === 'relevance'
+        ? { ...projection, score: { $meta: 'textScore' } }
+        : projection
+    )
+      .sort({ ...sort, _id: 1 })
+      .skip(page * limit)
+      .limit(limit);
 
     logger.info('search(): filter and count', {
       filter,
@@ -62,20 +147,10 @@ const search = async (query) => {
   }
 };
 
-const count = async (query) => {
+// count of the items without skip and limit
+const count = async (query, userId) => {
   try {
-    const { keyword } = query ?? {};
-
-    const filter = {};
-    if (keyword) {
-      // like search on multiple fields with keyword
-      filter.$or = [
-        { full_name: { $regex: keyword, $options: 'i' } },
-        { language: { $regex: keyword, $options: 'i' } },
-        // { topics: { $regex: keyword, $options: 'i' } },
-      ];
-    }
-
+    const filter = getSearchFilter(query, userId);
     const total = await Model.countDocuments(filter);
     logger.info('count(): filter and count', {
       filter,
@@ -88,6 +163,24 @@ const count = async (query) => {
   }
 };
 
+// The repository named fullName, or the one that carried this name before a
+// rename or transfer, in which case `renamed` is true
+const getByFullName = async (fullName) => {
+  const current = await Model.findOne({ full_name: fullName }).exec();
+  if (current) {
+    return { repository: current, renamed: false };
+  }
+  const previous = await Model.findOne({ 'nameHistory.full_name': fullName })
+    .sort({ 'nameHistory.changedAt': -1 })
+    .exec();
+  logger.info('getByFullName(): resolved by name history', {
+    fullName,
+    found: Boolean(previous),
+    full_name: previous?.full_name,
+  });
+  return { repository: previous, renamed: Boolean(previous) };
+};
+
 const searchOne = async (searchPayload) => {
   try {
     const { username, repository } = searchPayload ?? {};
@@ -101,16 +194,13 @@ const searchOne = async (searchPayload) => {
       );
     }
 
-    let filter = {};
-    if (username && repository) {
-      filter = {
-        full_name: `${username}/${repository}`,
-      };
-    }
-    const item = await Model.findOne(filter).exec();
-    logger.info('search(): filter and count', {
-      filter,
-      count: Boolean(item) ? 1 : 0,
+    const { repository: item } = await getByFullName(
+      `${username}/${repository}`
+    );
+    logger.info('searchOne(): search by full name', {
+      username,
+      repository,
+      count: item ? 1 : 0,
     });
     return item;
   } catch (error) {
@@ -156,6 +246,32 @@ const deleteById = async (id) => {
   }
 };
 
+const mapOwner = (owner) => ({
+  login: owner.login,
+  id: owner.id,
+  avatar_url: owner.avatar_url,
+  type: owner.type,
+});
+
+// Update operators for a repository GitHub now reports under another name,
+// after a rename or a transfer. The old name goes to the name history, so
+// lookups by it still find the repository.
+const getRenameUpdate = (repository, response) => {
+  if (!repository || repository.full_name === response.full_name) {
+    return {};
+  }
+  return {
+    $set: {
+      name: response.name,
+      full_name: response.full_name,
+      owner: mapOwner(response.owner),
+    },
+    $push: {
+      nameHistory: { full_name: repository.full_name, changedAt: new Date() },
+    },
+  };
+};
+
 const mapGithubResponseToSchema = (response) => {
   return {
     id: response.id,
@@ -163,12 +279,7 @@ const mapGithubResponseToSchema = (response) => {
     name: response.name,
     full_name: response.full_name,
     private: response.private,
-    owner: {
-      login: response.owner.login,
-      id: response.owner.id,
-      avatar_url: response.owner.avatar_url,
-      type: response.owner.type,
-    },
+    owner: mapOwner(response.owner),
     html_url: response.html_url,
     description: response.description,
     fork: response.fork,
@@ -186,13 +297,16 @@ const mapGithubResponseToSchema = (response) => {
     archived: response.archived,
     disabled: response.disabled,
     open_issues_count: response.open_issues_count,
-    license: {
-      key: response.license.key,
-      name: response.license.name,
-      spdx_id: response.license.spdx_id,
-      url: response.license.url,
-      node_id: response.license.node_id,
-    },
+    // repositories without a license have a null license
+    license: response.license
+      ? {
+          key: response.license.key,
+          name: response.license.name,
+          spdx_id: response.license.spdx_id,
+          url: response.license.url,
+          node_id: response.license.node_id,
+        }
+      : undefined,
     topics: response.topics,
     visibility: response.visibility,
     default_branch: response.default_branch,
@@ -218,6 +332,91 @@ const mapSelectedGithubResponseToSchema = (response) => {
   };
 };
 
+// Apply the repository object of a GitHub webhook payload. Webhook payloads
+// carry no languages, the stored ones are kept.
+const updateFromWebhookPayload = async (repository, payload) => {
+  const { languages, ...data } = mapSelectedGithubResponseToSchema(payload);
+  // push events send pushed_at as a unix timestamp
+  if (typeof payload.pushed_at === 'number') {
+    data.pushed_at = new Date(payload.pushed_at * 1000);
+  }
+  const rename = getRenameUpdate(repository, payload);
+  return Model.findByIdAndUpdate(
+    repository._id,
+    {
+      $set: { ...data, ...rename.$set, updatedAt: new Date() },
+      ...(rename.$push && { $push: rename.$push }),
+    },
+    { new: true }
+  );
+};
+
+// Generate a new webhook secret for the repository. The plain secret is only
+// returned here, to be pasted into the GitHub webhook settings.
+const createWebhookSecret = async (id) => {
+  try {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const { token, iv } = encryptToken(secret);
+    const item = await Model.findByIdAndUpdate(
+      id,
+      {
+        webhook: { secret: token, secretIV: iv, createdAt: new Date() },
+      },
+      { new: true }
+    );
+    if (!item) {
+      return null;
+    }
+    logger.info(`createWebhookSecret(): ${model} webhook secret created`, {
+      id,
+    });
+    return { repository: item, secret };
+  } catch (error) {
+    logger.error(`createWebhookSecret(): Failed to create secret`, error);
+    throw new AppError(`Failed to create webhook secret`, error.message);
+  }
+};
+
+// The repository with the given GitHub id and its decrypted webhook secret
+const getWebhookSecretByGitHubId = async (githubId) => {
+  const item = await Model.findOne({ id: githubId })
+    .select('+webhook.secret +webhook.secretIV')
+    .exec();
+  if (!item?.webhook?.secret) {
+    return { repository: item, secret: null };
+  }
+  const secret = decryptToken(item.webhook.secret, item.webhook.secretIV);
+  return { repository: item, secret };
+};
+
+// Upsert a repository from a GitHub response by its GitHub id: an existing
+// repository only gets the mapSelectedGithubResponseToSchema fields and its
+// new name if it moved, a new one gets all of them. Imports can save the same
+// repository concurrently, the upsert keeps them from colliding on the unique
+// id index. updatedAt tells the refresh job the repository is fresh.
+const saveGitHubRepository = async (response) => {
+  const { id } = response;
+  const existingRepository = await Model.findOne(
+    { id },
+    { full_name: 1 }
+  ).exec();
+  const data = mapSelectedGithubResponseToSchema(response);
+  const rename = getRenameUpdate(existingRepository, response);
+  return Model.findOneAndUpdate(
+    { id },
+    {
+      $set: { ...data, ...rename.$set, updatedAt: new Date() },
+      $setOnInsert: _.omitBy(
+        mapGithubResponseToSchema(response),
+        (value, key) =>
+          value === undefined || key in data || key in (rename.$set ?? {})
+      ),
+      ...(rename.$push && { $push: rename.$push }),
+    },
+    { upsert: true, new: true }
+  );
+};
+
 const fetchGitHubRepoDetails = async (owner, repo, user) => {
   // get user access token and access token IV from database
   // decrypt access token and access token IV
@@ -228,82 +427,288 @@ const fetchGitHubRepoDetails = async (owner, repo, user) => {
   try {
     const { _id } = user;
     const dbUser = await User.findById(_id).exec();
-    const { accessToken, accessTokenIV } = dbUser;
-    const token = decryptToken(accessToken, accessTokenIV);
+    const token = decryptGitHubToken(dbUser);
 
     const response = await github.fetchRepoDetails(owner, repo, token);
-    // check if the repository already exists in the database by id node_id
-    // if it exists, update the repository details using mapSelectedGithubResponseToSchema
-    // else create the repository using mapGithubResponseToSchema
-    const { id } = response;
-    const existingRepository = await Model.findOne({ id }).exec();
-    if (existingRepository) {
-      const data = mapSelectedGithubResponseToSchema(response);
-      const updatedRepository = await updateById(existingRepository._id, data);
-      return updatedRepository;
-    }
-    const data = mapGithubResponseToSchema(response);
-    const repository = await create(data);
+    const repository = await saveGitHubRepository(response);
+    logger.info(`fetchGitHubRepoDetails(): ${model} saved`, {
+      id: repository._id,
+      full_name: repository.full_name,
+    });
     return repository;
   } catch (error) {
     logger.error(
       'fetchGitHubRepoDetails(): Failed to fetch repository details',
       error
     );
-    throw new AppError('Failed to fetch repository details', error.message);
+    throw new AppError(
+      'Failed to fetch repository details',
+      error.message,
+      error.status === 404 ? 404 : 500
+    );
   }
 };
 
-const followRepository = async (followerId, repositoryId) => {
+// Save a repository of a GitHub listing, e.g. the repositories of an org.
+// Listings carry every field but the languages, they are only fetched for a
+// repository without them. The refresh job keeps them up to date.
+const importGitHubRepository = async (listed, token) => {
   try {
-    // Check existing following status
-    const follower = await User.findById(followerId);
-    const existingFollowing = follower.csFollowingRepositories.find((item) =>
-      item._id.equals(repositoryId)
+    const existingRepository = await Model.findOne(
+      { id: listed.id },
+      { languages: 1 }
+    ).exec();
+    const languages =
+      existingRepository?.languages ??
+      (await github.fetchRepoLanguages(listed.owner.login, listed.name, token));
+    const repository = await saveGitHubRepository({ ...listed, languages });
+    logger.info(`importGitHubRepository(): ${model} saved`, {
+      id: repository._id,
+      full_name: repository.full_name,
+    });
+    return repository;
+  } catch (error) {
+    logger.error(
+      'importGitHubRepository(): Failed to import repository',
+      error
     );
+    throw new AppError(
+      'Failed to import repository',
+      error.message,
+      error.status === 404 ? 404 : 500
+    );
+  }
+};
 
-    if (existingFollowing) {
-      logger.info(
-        `followRepository(): User ${followerId} is already following repository ${repositoryId}`
-      );
-      return false;
+// The repositories followed by at least one user, each mapped to the GitHub
+// token of one of its followers. Background jobs use it to call GitHub.
+const getFollowedRepositoryTokens = async () => {
+  const followers = await User.find(
+    {
+      'csFollowingRepositories.0': { $exists: true },
+      'github.accessToken': { $ne: null },
+      isDeactivated: { $ne: true },
+    },
+    { csFollowingRepositories: 1, github: 1 }
+  ).exec();
+
+  const tokensByRepository = new Map();
+  followers.forEach((follower) => {
+    let token;
+    try {
+      token = decryptGitHubToken(follower);
+    } catch (error) {
+      logger.warn('getFollowedRepositoryTokens(): Failed to decrypt token', {
+        userId: follower._id,
+        error: error.message,
+      });
     }
+    if (!token) {
+      return;
+    }
+    follower.csFollowingRepositories.forEach(({ _id }) => {
+      if (!tokensByRepository.has(_id.toString())) {
+        tokensByRepository.set(_id.toString(), token);
+      }
+    });
+  });
+  return tokensByRepository;
+};
+
+// Refresh a stored repository from GitHub by its numeric id, which follows
+// renames and transfers: a moved repository gets its new name and keeps the
+// old one in its name history. A deleted or no longer visible one answers 404
+// and is flagged on the repository instead of failing.
+const refreshFromGitHub = async (repository, token) => {
+  let response = null;
+  try {
+    response = await github.fetchRepoDetailsById(repository.id, token);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
 
-    // Perform the updates
-    const [repositoryUpdate, followerUserUpdate] = await Promise.all([
-      // Update csFollowers of the repository
-      Model.findByIdAndUpdate(repositoryId, {
-        $push: { csFollowers: { _id: followerId, date: Date.now() } },
-      }),
-
-      // Update csFollowingRepositories of the follower user
-      User.findByIdAndUpdate(followerId, {
-        $push: {
-          csFollowingRepositories: { _id: repositoryId, date: Date.now() },
+  const checkedAt = new Date();
+  if (!response) {
+    logger.warn(`refreshFromGitHub(): ${model} not found on GitHub`, {
+      id: repository._id,
+      full_name: repository.full_name,
+    });
+    return Model.findByIdAndUpdate(
+      repository._id,
+      { sync: { status: SYNC_STATUS.NOT_FOUND, checkedAt, movedTo: null } },
+      { new: true }
+    );
+  }
+
+  const rename = getRenameUpdate(repository, response);
+  if (rename.$set) {
+    logger.warn(`refreshFromGitHub(): ${model} moved on GitHub`, {
+      id: repository._id,
+      from: repository.full_name,
+      to: response.full_name,
+    });
+  }
+  return Model.findByIdAndUpdate(
+    repository._id,
+    {
+      $set: {
+        ...mapSelectedGithubResponseToSchema(response),
+        ...rename.$set,
+        sync: {
+          status: rename.$set ? SYNC_STATUS.MOVED : SYNC_STATUS.OK,
+          checkedAt,
+          movedTo: rename.$set ? response.full_name : null,
         },
-      }),
-    ]);
+        updatedAt: checkedAt,
+      },
+      ...(rename.$push && { $push: rename.$push }),
+    },
+    { new: true }
+  );
+};
+
+// Refresh a repository with the GitHub token of the requesting user
+const refreshRepository = async (id, user) => {
+  const repository = await Model.findById(id).exec();
+  if (!repository) {
+    return null;
+  }
+  const dbUser = await User.findById(user._id).exec();
+  const token = decryptGitHubToken(dbUser);
+  if (!token) {
+    throw new AppError(
+      'github-not-connected',
+      'GitHub account is not connected',
+      400
+    );
+  }
 
-    logger.info(`followRepository(): success`, {
-      repositoryId,
-      repositoryUpdate,
-      followerUserUpdate,
+  try {
+    const refreshed = await refreshFromGitHub(repository, token);
+    logger.info(`refreshRepository(): ${model} refreshed`, {
+      id,
+      status: refreshed.sync.status,
     });
-    return true;
+    return refreshed;
   } catch (error) {
-    logger.error(`followRepository(): Failed to update follow status`, error);
-    throw new AppError(`Failed to update follow status`, error.message);
+    logger.error(`refreshRepository(): Failed to refresh ${model}`, error);
+    throw new AppError(`Failed to refresh ${model}`, error.message);
+  }
+};
+
+// Used by the scheduler: refresh the followed repositories not updated for
+// REPOSITORY_STALE_AFTER_HOURS, oldest first. Repositories already flagged as
+// not found are left alone, a manual refresh clears the flag.
+const refreshStaleRepositories = async () => {
+  const tokensByRepository = await getFollowedRepositoryTokens();
+  const staleBefore = new Date(
+    Date.now() - config.REPOSITORY_STALE_AFTER_HOURS * 60 * 60 * 1000
+  );
+  const repositories = await Model.find({
+    _id: { $in: [...tokensByRepository.keys()] },
+    updatedAt: { $lt: staleBefore },
+    'sync.status': { $ne: SYNC_STATUS.NOT_FOUND },
+  })
+    .sort({ updatedAt: 1 })
+    .limit(config.REPOSITORY_REFRESH_BATCH_SIZE)
+    .exec();
+
+  const summary = {
+    repositories: 0,
+    moved: 0,
+    notFound: 0,
+    failed: [],
+  };
+  // one repository at a time to stay gentle with the GitHub rate limit
+  for (const repository of repositories) {
+    const repositoryId = repository._id.toString();
+    try {
+      const refreshed = await refreshFromGitHub(
+        repository,
+        tokensByRepository.get(repositoryId)
+      );
+      summary.repositories += 1;
+      if (refreshed.sync.status === SYNC_STATUS.MOVED) {
+        summary.moved += 1;
+      } else if (refreshed.sync.status === SYNC_STATUS.NOT_FOUND) {
+        summary.notFound += 1;
+      }
+    } catch (error) {
+      logger.error(
+        `refreshStaleRepositories(): Failed to refresh repository ${repositoryId}`,
+        error
+      );
+      summary.failed.push({ repositoryId, error: error.message });
+    }
+  }
+
+  logger.info('refreshStaleRepositories(): done', summary);
+  return summary;
+};
+
+// Used by the scheduler: refresh the counters of the followed repositories
+// from GitHub and keep a snapshot of them for the stats history
+const snapshotFollowedRepositories = async () => {
+  const tokensByRepository = await getFollowedRepositoryTokens();
+
+  const summary = { repositories: 0, failed: [] };
+  // one repository at a time to stay gentle with the GitHub rate limit
+  for (const [repositoryId, token] of tokensByRepository) {
+    try {
+      const dbRepository = await Model.findById(repositoryId).exec();
+      if (!dbRepository) {
+        continue;
+      }
+      const repository = await refreshFromGitHub(dbRepository, token);
+      if (repository.sync.status === SYNC_STATUS.NOT_FOUND) {
+        continue;
+      }
+      await recordSnapshot(repository);
+      summary.repositories += 1;
+    } catch (error) {
+      logger.error(
+        `snapshotFollowedRepositories(): Failed to snapshot repository ${repositoryId}`,
+        error
+      );
+      summary.failed.push({ repositoryId, error: error.message });
+    }
   }
+
+  logger.info('snapshotFollowedRepositories(): done', summary);
+  return summary;
 };
 
+const followRepository = async (followerId, repositoryId) =>
+  follow(followerId, TARGET_TYPES.REPOSITORY, repositoryId);
+
+const unfollowRepository = async (followerId, repositoryId) =>
+  unfollow(followerId, TARGET_TYPES.REPOSITORY, repositoryId);
+
+// Followers of a repository, most recent first, with their user summary
+const getFollowers = async (repositoryId, query) =>
+  getTargetFollowers(TARGET_TYPES.REPOSITORY, repositoryId, query);
+
 module.exports = {
   create,
   search,
   count,
   searchOne,
+  getByFullName,
   getById,
   updateById,
   deleteById,
   fetchGitHubRepoDetails,
+  importGitHubRepository,
+  updateFromWebhookPayload,
+  createWebhookSecret,
+  getWebhookSecretByGitHubId,
   followRepository,
+  unfollowRepository,
+  getFollowers,
+  getFollowedRepositoryTokens,
+  refreshRepository,
+  refreshStaleRepositories,
+  snapshotFollowedRepositories,
 };
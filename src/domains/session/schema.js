@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Index of the logged in sessions by user. The session data lives in the
+// session store, this lists the sessions of a user with where they are used
+// from, so they can be shown and revoked without scanning the store.
+const schema = new mongoose.Schema({
+  // id of the session in the session store
+  sessionId: { type: String, required: true },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  ip: { type: String },
+  userAgent: { type: String },
+  // readable browser and OS from the user agent, e.g. 'Firefox on Linux'
+  device: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  // follows the expiry of the session in the store
+  expiresAt: { type: Date, required: true },
+});
+
+schema.index({ sessionId: 1 }, { unique: true });
+schema.index({ user: 1, lastSeenAt: -1 });
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserSession', schema);
@@ -0,0 +1,99 @@
+const logger = require('../../libraries/log/logger');
+
+const Model = require('./schema');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const model = 'session';
+
+// Create or update the index entry of a session
+const upsertBySessionId = async (sessionId, data) => {
+  try {
+    const now = new Date();
+    const item = await Model.findOneAndUpdate(
+      { sessionId },
+      { $set: { ...data, lastSeenAt: now }, $setOnInsert: { createdAt: now } },
+      { upsert: true, new: true }
+    );
+    logger.info(`upsertBySessionId(): ${model} recorded`, { id: item._id });
+    return item;
+  } catch (error) {
+    logger.error(`upsertBySessionId(): Failed to record ${model}`, error);
+    throw new AppError(`Failed to record ${model}`, error.message);
+  }
+};
+
+// Sessions of the user, the last used first
+const getByUser = async (userId) => {
+  try {
+    const items = await Model.find({
+      user: userId,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+    logger.info(`getByUser(): ${model} fetched`, {
+      userId,
+      count: items.length,
+    });
+    return items;
+  } catch (error) {
+    logger.error(`getByUser(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message, 400);
+  }
+};
+
+// A session of the user, null when the user has no such session
+const getUserSession = async (id, userId) => {
+  try {
+    const item = await Model.findOne({ _id: id, user: userId });
+    logger.info(`getUserSession(): ${model} fetched`, { id, _id: item?._id });
+    return item;
+  } catch (error) {
+    logger.error(`getUserSession(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message, 400);
+  }
+};
+
+// Index the sessions that are not indexed yet, indexed ones are left as is
+const insertMissing = async (items) => {
+  if (!items.length) {
+    return 0;
+  }
+  try {
+    const result = await Model.bulkWrite(
+      items.map((item) => ({
+        updateOne: {
+          filter: { sessionId: item.sessionId },
+          update: { $setOnInsert: item },
+          upsert: true,
+        },
+      }))
+    );
+    logger.info(`insertMissing(): ${model} recorded`, {
+      count: result.upsertedCount,
+    });
+    return result.upsertedCount;
+  } catch (error) {
+    logger.error(`insertMissing(): Failed to record ${model}`, error);
+    throw new AppError(`Failed to record ${model}`, error.message);
+  }
+};
+
+const deleteBySessionIds = async (sessionIds) => {
+  try {
+    const result = await Model.deleteMany({ sessionId: { $in: sessionIds } });
+    logger.info(`deleteBySessionIds(): ${model} deleted`, {
+      count: result.deletedCount,
+    });
+    return result.deletedCount;
+  } catch (error) {
+    logger.error(`deleteBySessionIds(): Failed to delete ${model}`, error);
+    throw new AppError(`Failed to delete ${model}`, error.message);
+  }
+};
+
+module.exports = {
+  upsertBySessionId,
+  getByUser,
+  getUserSession,
+  insertMissing,
+  deleteBySessionIds,
+};
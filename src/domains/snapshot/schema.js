@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Point-in-time counters of a repository, stored as a time series so the
+// growth of the repositories can be charted
+const schema = new mongoose.Schema(
+  {
+    takenAt: { type: Date, required: true },
+    repository: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Repository',
+      required: true,
+    },
+    stargazers_count: { type: Number, default: 0 },
+    forks_count: { type: Number, default: 0 },
+    open_issues_count: { type: Number, default: 0 },
+    watchers_count: { type: Number, default: 0 },
+    // bytes of code per language
+    languages: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timeseries: {
+      timeField: 'takenAt',
+      metaField: 'repository',
+      granularity: 'hours',
+    },
+  }
+);
+
+schema.index({ repository: 1, takenAt: -1 });
+
+module.exports = mongoose.model('RepositorySnapshot', schema);
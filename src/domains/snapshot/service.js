@@ -0,0 +1,156 @@
+const logger = require('../../libraries/log/logger');
+
+const Model = require('./schema');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const model = 'snapshot';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const recordSnapshot = async (repository) => {
+  try {
+    const saved = await Model.create({
+      takenAt: new Date(),
+      repository: repository._id,
+      stargazers_count: repository.stargazers_count,
+      forks_count: repository.forks_count,
+      open_issues_count: repository.open_issues_count,
+      watchers_count: repository.watchers_count,
+      languages: repository.languages,
+    });
+    logger.info(`recordSnapshot(): ${model} recorded`, {
+      repositoryId: repository._id,
+    });
+    return saved;
+  } catch (error) {
+    logger.error(`recordSnapshot(): Failed to record ${model}`, error);
+    throw new AppError(`Failed to record ${model}`, error.message);
+  }
+};
+
+// Counts per interval bucket, each bucket holds the latest snapshot taken in it
+const getHistory = async (repositoryId, query) => {
+  try {
+    const { interval = 'day' } = query ?? {};
+    const to = query?.to ? new Date(query.to) : new Date();
+    const from = query?.from ? new Date(query.from) : new Date(to - 90 * DAY);
+
+    const items = await Model.aggregate([
+      {
+        $match: {
+          repository: repositoryId,
+          takenAt: { $gte: from, $lte: to },
+        },
+      },
+      { $sort: { takenAt: 1 } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$takenAt', unit: interval } },
+          stargazers_count: { $last: '$stargazers_count' },
+          forks_count: { $last: '$forks_count' },
+          open_issues_count: { $last: '$open_issues_count' },
+          watchers_count: { $last: '$watchers_count' },
+        },
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          date: '$_id',
+          stargazers_count: 1,
+          forks_count: 1,
+          open_issues_count: 1,
+          watchers_count: 1,
+        },
+      },
+    ]);
+
+    logger.info(`getHistory(): ${model} history fetched`, {
+      repositoryId,
+      interval,
+      from,
+      to,
+      count: items.length,
+    });
+    return { from, to, interval, items };
+  } catch (error) {
+    logger.error(`getHistory(): Failed to get ${model} history`, error);
+    throw new AppError(`Failed to get ${model} history`, error.message, 400);
+  }
+};
+
+// Bytes of code per language and interval bucket, summed over the latest
+// snapshot of each repository in the bucket. All repositories are included
+// when repositoryIds is not given.
+const getLanguageHistory = async (repositoryIds, query) => {
+  try {
+    const { interval = 'week' } = query ?? {};
+    const to = query?.to ? new Date(query.to) : new Date();
+    const from = query?.from ? new Date(query.from) : new Date(to - 90 * DAY);
+
+    const match = {
+      takenAt: { $gte: from, $lte: to },
+      languages: { $type: 'object' },
+    };
+    if (repositoryIds) {
+      match.repository = { $in: repositoryIds };
+    }
+    const items = await Model.aggregate([
+      { $match: match },
+      { $sort: { takenAt: 1 } },
+      {
+        $group: {
+          _id: {
+            date: { $dateTrunc: { date: '$takenAt', unit: interval } },
+            repository: '$repository',
+          },
+          languages: { $last: '$languages' },
+        },
+      },
+      { $project: { languages: { $objectToArray: '$languages' } } },
+      { $unwind: '$languages' },
+      {
+        $group: {
+          _id: { date: '$_id.date', language: '$languages.k' },
+          bytes: { $sum: '$languages.v' },
+        },
+      },
+      { $sort: { bytes: -1, '_id.language': 1 } },
+      {
+        $group: {
+          _id: '$_id.date',
+          totalBytes: { $sum: '$bytes' },
+          languages: {
+            $push: { language: '$_id.language', bytes: '$bytes' },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, date: '$_id', totalBytes: 1, languages: 1 } },
+    ]);
+
+    logger.info(`getLanguageHistory(): ${model} language history fetched`, {
+      interval,
+      from,
+      to,
+      count: items.length,
+    });
+    return { from, to, interval, items };
+  } catch (error) {
+    logger.error(
+      `getLanguageHistory(): Failed to get ${model} language history`,
+      error
+    );
+    throw new AppError(
+      `Failed to get ${model} language history`,
+      error.message,
+      400
+    );
+  }
+};
+
+module.exports = {
+  recordSnapshot,
+  getHistory,
+  getLanguageHistory,
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const logger = require('../../libraries/log/logger');
+
+const {
+  getLanguageStats,
+  getPullStats,
+  getContributors,
+} = require('./service');
+
+const {
+  languageStatsSchema,
+  pullStatsQuerySchema,
+  contributorsSchema,
+} = require('./request');
+const { validateRequest } = require('../../middlewares/request-validate');
+const { logRequest } = require('../../middlewares/log');
+
+const model = 'Stats';
+
+const routes = () => {
+  const router = express.Router();
+  logger.info(`Setting up routes for ${model}`);
+
+  // language breakdown across all tracked repositories
+  router.get(
+    '/languages',
+    logRequest({}),
+    validateRequest({ schema: languageStatsSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const stats = await getLanguageStats(undefined, req.query);
+        res.json(stats);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // pull request health across all pulls, or the pulls of an author
+  router.get(
+    '/pulls',
+    logRequest({}),
+    validateRequest({ schema: pullStatsQuerySchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const { author, ...range } = req.query;
+        const filter = author ? { 'user.login': author } : {};
+        const stats = await getPullStats(filter, range);
+        res.json(author ? { author, ...stats } : stats);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // contributors leaderboard across all repositories
+  router.get(
+    '/contributors',
+    logRequest({}),
+    validateRequest({ schema: contributorsSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const contributors = await getContributors({}, req.query);
+        res.json(contributors);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { routes };
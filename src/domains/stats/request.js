@@ -0,0 +1,41 @@
+const Joi = require('joi');
+
+const languageStatsSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  interval: Joi.string().valid('day', 'week', 'month').default('week'),
+  // number of languages reported, the most used first
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// activity in the date range
+const pullStatsSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+});
+
+// across all pulls, or the pulls of an author
+const pullStatsQuerySchema = pullStatsSchema.keys({
+  author: Joi.string()
+    .pattern(/^[a-zA-Z0-9-]+(\[bot\])?$/)
+    .max(39),
+});
+
+const contributorsSchema = pullStatsSchema.keys({
+  page: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  orderBy: Joi.string()
+    .valid('opened', 'merged', 'linesChanged', 'commits')
+    .default('merged'),
+});
+
+module.exports = {
+  languageStatsSchema,
+  pullStatsSchema,
+  pullStatsQuerySchema,
+  contributorsSchema,
+};
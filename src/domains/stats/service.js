@@ -0,0 +1,380 @@
+const _ = require('lodash');
+const logger = require('../../libraries/log/logger');
+
+const Repository = require('../repository/schema');
+const Pull = require('../pull/schema');
+const Commit = require('../commit/schema');
+const User = require('../user/schema');
+const { TARGET_TYPES, getFollowingIds } = require('../follow/service');
+const { getLanguageHistory } = require('../snapshot/service');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const model = 'stats';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Size of a pull request in lines changed (additions + deletions), each bucket
+// starts at its bound
+const SIZE_BUCKETS = [
+  { size: 'XS', from: 0 },
+  { size: 'S', from: 10 },
+  { size: 'M', from: 50 },
+  { size: 'L', from: 250 },
+  { size: 'XL', from: 1000 },
+];
+
+const toPercentage = (bytes, totalBytes) =>
+  totalBytes ? Math.round((bytes / totalBytes) * 10000) / 100 : 0;
+
+// Bytes of code per language over the current languages map of the
+// repositories, all repositories when repositoryIds is not given
+const getLanguageBreakdown = async (repositoryIds) => {
+  const match = { languages: { $type: 'object' } };
+  if (repositoryIds) {
+    match._id = { $in: repositoryIds };
+  }
+  const [repositories, languages] = await Promise.all([
+    Repository.countDocuments(match),
+    Repository.aggregate([
+      { $match: match },
+      { $project: { languages: { $objectToArray: '$languages' } } },
+      { $unwind: '$languages' },
+      {
+        $group: {
+          _id: '$languages.k',
+          bytes: { $sum: '$languages.v' },
+          repositories: { $sum: 1 },
+        },
+      },
+      { $sort: { bytes: -1, _id: 1 } },
+      { $project: { _id: 0, language: '$_id', bytes: 1, repositories: 1 } },
+    ]),
+  ]);
+  const totalBytes = languages.reduce((sum, { bytes }) => sum + bytes, 0);
+  return { repositories, totalBytes, languages };
+};
+
+// Language breakdown with percentages and its trend over time. The trend keeps
+// the languages of the breakdown, the percentages of a bucket are of all the
+// bytes of the bucket.
+const getLanguageStats = async (repositoryIds, query) => {
+  try {
+    const { limit = 20 } = query ?? {};
+    const [breakdown, history] = await Promise.all([
+      getLanguageBreakdown(repositoryIds),
+      getLanguageHistory(repositoryIds, query),
+    ]);
+
+    const languages = breakdown.languages.slice(0, limit).map((item) => ({
+      ...item,
+      percentage: toPercentage(item.bytes, breakdown.totalBytes),
+    }));
+    const reported = new Set(languages.map(({ language }) => language));
+    const trend = {
+      ...history,
+      items: history.items.map(({ date, totalBytes, languages: items }) => ({
+        date,
+        totalBytes,
+        languages: items
+          .filter(({ language }) => reported.has(language))
+          .map((item) => ({
+            ...item,
+            percentage: toPercentage(item.bytes, totalBytes),
+          })),
+      })),
+    };
+
+    logger.info(`getLanguageStats(): ${model} languages fetched`, {
+      repositories: breakdown.repositories,
+      languages: breakdown.languages.length,
+    });
+    return {
+      repositories: breakdown.repositories,
+      totalBytes: breakdown.totalBytes,
+      languages,
+      trend,
+    };
+  } catch (error) {
+    logger.error(`getLanguageStats(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message, 400);
+  }
+};
+
+// Language stats of the repositories followed by the user
+const getUserLanguageStats = async (userId, query) => {
+  const repositoryIds = await getFollowingIds(userId, TARGET_TYPES.REPOSITORY);
+  return getLanguageStats(repositoryIds, query);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// from/to of the query, the last 90 days by default
+const getDateRange = (query) => {
+  const to = query?.to ? new Date(query.to) : new Date();
+  const from = query?.from ? new Date(query.from) : new Date(to - 90 * DAY);
+  return { from, to };
+};
+
+// Element of a sorted array at the given percentile, nearest rank
+const percentileOf = (sorted, percentile) =>
+  sorted.length
+    ? sorted[Math.ceil((percentile / 100) * sorted.length) - 1]
+    : null;
+
+// Pull request health over the pulls opened in a date range: time to merge,
+// merge vs close ratio, size distribution and review comment density.
+// filter narrows the pulls, e.g. to a repository or an author.
+const getPullStats = async (filter, query) => {
+  try {
+    const { from, to } = getDateRange(query);
+    const linesChanged = { $add: ['$additions', '$deletions'] };
+
+    const [result] = await Pull.aggregate([
+      { $match: { ...filter, created_at: { $gte: from, $lte: to } } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                opened: { $sum: 1 },
+                merged: { $sum: { $cond: ['$merged_at', 1, 0] } },
+                closed: {
+                  $sum: {
+                    $cond: [
+                      {
+                        $and: [
+                          { $eq: ['$state', 'closed'] },
+                          { $not: ['$merged_at'] },
+                        ],
+                      },
+                      1,
+                      0,
+                    ],
+                  },
+                },
+                reviewComments: { $sum: '$review_comments' },
+                linesChanged: { $sum: linesChanged },
+              },
+            },
+          ],
+          timeToMerge: [
+            { $match: { merged_at: { $ne: null } } },
+            {
+              $project: {
+                _id: 0,
+                hours: {
+                  $divide: [{ $subtract: ['$merged_at', '$created_at'] }, HOUR],
+                },
+              },
+            },
+            { $sort: { hours: 1 } },
+            { $group: { _id: null, hours: { $push: '$hours' } } },
+          ],
+          sizes: [
+            {
+              $bucket: {
+                groupBy: linesChanged,
+                boundaries: SIZE_BUCKETS.map(({ from: bound }) => bound),
+                default: 'XL',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0] ?? {
+      opened: 0,
+      merged: 0,
+      closed: 0,
+      reviewComments: 0,
+      linesChanged: 0,
+    };
+    const hours = result.timeToMerge[0]?.hours ?? [];
+    const median = percentileOf(hours, 50);
+    const p90 = percentileOf(hours, 90);
+    const finished = totals.merged + totals.closed;
+    // the last bucket collects the pulls above its bound as the default one
+    const counts = new Map(
+      result.sizes.map(({ _id, count }) => [
+        _id === 'XL' ? SIZE_BUCKETS[SIZE_BUCKETS.length - 1].from : _id,
+        count,
+      ])
+    );
+
+    const stats = {
+      from,
+      to,
+      opened: totals.opened,
+      merged: totals.merged,
+      closed: totals.closed,
+      mergeRate: finished ? round(totals.merged / finished) : null,
+      timeToMergeHours: {
+        median: median === null ? null : round(median),
+        p90: p90 === null ? null : round(p90),
+      },
+      sizes: SIZE_BUCKETS.map(({ size, from: bound }, index) => ({
+        size,
+        minLines: bound,
+        maxLines: SIZE_BUCKETS[index + 1]
+          ? SIZE_BUCKETS[index + 1].from - 1
+          : null,
+        count: counts.get(bound) ?? 0,
+      })),
+      reviewComments: {
+        total: totals.reviewComments,
+        perPull: totals.opened
+          ? round(totals.reviewComments / totals.opened)
+          : null,
+        per100Lines: totals.linesChanged
+          ? round((totals.reviewComments / totals.linesChanged) * 100)
+          : null,
+      },
+    };
+    logger.info(`getPullStats(): ${model} pulls fetched`, {
+      filter,
+      opened: stats.opened,
+    });
+    return stats;
+  } catch (error) {
+    logger.error(`getPullStats(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message, 400);
+  }
+};
+
+const inRange = (field, { from, to }) => ({
+  $and: [{ $gte: [field, from] }, { $lte: [field, to] }],
+});
+
+// Contributors leaderboard over a date range: pulls opened and merged in the
+// range, lines changed by the pulls merged in it, and commits authored in it.
+// Contributors are GitHub accounts, linked to the CommitStreams user with the
+// same GitHub id. filter narrows the pulls and commits, e.g. to a repository.
+const getContributors = async (filter, query) => {
+  try {
+    const { page = 0, limit = 20, orderBy = 'merged' } = query ?? {};
+    const range = getDateRange(query);
+    const isMerged = inRange('$merged_at', range);
+
+    const [pulls, commits] = await Promise.all([
+      Pull.aggregate([
+        {
+          $match: {
+            ...filter,
+            $or: [
+              { created_at: { $gte: range.from, $lte: range.to } },
+              { merged_at: { $gte: range.from, $lte: range.to } },
+            ],
+          },
+        },
+        {
+          $group: {
+            _id: '$user.id',
+            login: { $last: '$user.login' },
+            avatar_url: { $last: '$user.avatar_url' },
+            opened: {
+              $sum: { $cond: [inRange('$created_at', range), 1, 0] },
+            },
+            merged: { $sum: { $cond: [isMerged, 1, 0] } },
+            additions: { $sum: { $cond: [isMerged, '$additions', 0] } },
+            deletions: { $sum: { $cond: [isMerged, '$deletions', 0] } },
+          },
+        },
+      ]),
+      // commits of authors without a GitHub account can not be attributed
+      Commit.aggregate([
+        {
+          $match: {
+            ...filter,
+            'author.id': { $ne: null },
+            'author.date': { $gte: range.from, $lte: range.to },
+          },
+        },
+        // a commit is stored once per pull request it is part of
+        { $group: { _id: '$sha', author: { $first: '$author' } } },
+        {
+          $group: {
+            _id: '$author.id',
+            login: { $last: '$author.login' },
+            avatar_url: { $last: '$author.avatar_url' },
+            commits: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    const contributors = new Map();
+    const getContributor = ({ _id, login, avatar_url }) => {
+      if (!contributors.has(_id)) {
+        contributors.set(_id, {
+          id: _id,
+          login,
+          avatar_url,
+          opened: 0,
+          merged: 0,
+          additions: 0,
+          deletions: 0,
+          linesChanged: 0,
+          commits: 0,
+          user: null,
+        });
+      }
+      return contributors.get(_id);
+    };
+    pulls.forEach((item) => {
+      const contributor = getContributor(item);
+      Object.assign(contributor, {
+        login: item.login,
+        avatar_url: item.avatar_url,
+        opened: item.opened,
+        merged: item.merged,
+        additions: item.additions,
+        deletions: item.deletions,
+        linesChanged: item.additions + item.deletions,
+      });
+    });
+    commits.forEach((item) => {
+      getContributor(item).commits = item.commits;
+    });
+
+    const items = _.orderBy(
+      [...contributors.values()],
+      [orderBy, 'login'],
+      ['desc', 'asc']
+    ).slice(page * limit, (page + 1) * limit);
+
+    // GitHub ids are stored as strings on the users
+    const users = await User.find(
+      { 'github.id': { $in: items.map(({ id }) => String(id)) } },
+      { displayName: 1, 'github.id': 1 }
+    ).lean();
+    const usersByGitHubId = new Map(
+      users.map(({ _id, displayName, github }) => [
+        github.id,
+        { _id, displayName },
+      ])
+    );
+    items.forEach((item) => {
+      item.user = usersByGitHubId.get(String(item.id)) ?? null;
+    });
+
+    logger.info(`getContributors(): ${model} contributors fetched`, {
+      filter,
+      total: contributors.size,
+    });
+    return { ...range, total: contributors.size, items };
+  } catch (error) {
+    logger.error(`getContributors(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message, 400);
+  }
+};
+
+module.exports = {
+  getLanguageStats,
+  getUserLanguageStats,
+  getPullStats,
+  getContributors,
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const logger = require('../../libraries/log/logger');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const { create, getAllByUser, revoke } = require('./service');
+
+const { idSchema, createTokenSchema } = require('./request');
+const { validateRequest } = require('../../middlewares/request-validate');
+const { logRequest } = require('../../middlewares/log');
+
+const model = 'Token';
+
+// tokens are managed from a logged in session, a token can not create or
+// revoke tokens
+const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return res
+      .status(403)
+      .json({ message: 'Tokens can not be managed with a token' });
+  }
+  next();
+};
+
+const routes = () => {
+  const router = express.Router();
+  logger.info(`Setting up routes for ${model}`);
+
+  router.get('/', logRequest({}), requireSession, async (req, res, next) => {
+    try {
+      const items = await getAllByUser(req.user._id);
+      res.json(items);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // the token is only part of this response
+  router.post(
+    '/',
+    logRequest({}),
+    requireSession,
+    validateRequest({ schema: createTokenSchema }),
+    async (req, res, next) => {
+      try {
+        const item = await create(req.user, req.body);
+        res.status(201).json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.delete(
+    '/:id',
+    logRequest({}),
+    requireSession,
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const item = await revoke(req.params.id, req.user._id);
+        if (!item) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json({ message: `${model} revoked` });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { routes };
@@ -0,0 +1,26 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const idSchema = Joi.object().keys({
+  id: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .required(),
+});
+
+const createTokenSchema = Joi.object().keys({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid('read', 'write', 'admin'))
+    .single()
+    .min(1)
+    .unique()
+    .default(['read']),
+  expiresInDays: Joi.number().integer().min(1).max(365).default(30),
+});
+
+module.exports = { idSchema, createTokenSchema };
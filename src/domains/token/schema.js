@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A personal access token of a user, for scripts calling the API with a
+// Bearer header. Only the hash of the token is stored, the token itself is
+// shown once when it is created.
+const schema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: { type: String, required: true },
+  tokenHash: { type: String, required: true },
+  // start of the token, lets the user recognize it in the listing
+  prefix: { type: String, required: true },
+  scopes: {
+    type: [String],
+    enum: ['read', 'write', 'admin'],
+    required: true,
+  },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+schema.index({ tokenHash: 1 }, { unique: true });
+schema.index({ user: 1, createdAt: -1 });
+// expired tokens are removed by MongoDB
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ApiToken', schema);
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const logger = require('../../libraries/log/logger');
+
+const Model = require('./schema');
+const { getById: getUserById } = require('../user/service');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const model = 'token';
+
+// tokens are recognizable in logs and secret scanners by their prefix
+const TOKEN_PREFIX = 'csp_';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const projection = { tokenHash: 0 };
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for the user. The returned item holds the token, it can not
+// be read again afterwards.
+const create = async (user, { name, scopes, expiresInDays }) => {
+  if (scopes.includes('admin') && !user.isAdmin) {
+    throw new AppError(
+      'scope-not-allowed',
+      'Only admins can create tokens with the admin scope',
+      403
+    );
+  }
+  try {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const token = `${TOKEN_PREFIX}${secret}`;
+    const item = await new Model({
+      user: user._id,
+      name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, TOKEN_PREFIX.length + 4),
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    }).save();
+    logger.info(`create(): ${model} created`, { id: item._id });
+    const { tokenHash, ...saved } = item.toObject();
+    return { ...saved, token };
+  } catch (error) {
+    logger.error(`create(): Failed to create ${model}`, error);
+    throw new AppError(`Failed to create ${model}`, error.message);
+  }
+};
+
+// Tokens of the user, newest first
+const getAllByUser = async (userId) => {
+  try {
+    const items = await Model.find(
+      { user: userId, expiresAt: { $gt: new Date() } },
+      projection
+    ).sort({ createdAt: -1 });
+    logger.info(`getAllByUser(): ${model} fetched`, {
+      userId,
+      count: items.length,
+    });
+    return items;
+  } catch (error) {
+    logger.error(`getAllByUser(): Failed to get ${model}`, error);
+    throw new AppError(`Failed to get ${model}`, error.message, 400);
+  }
+};
+
+// Revoke a token of the user, returns null when the user has no such token
+const revoke = async (id, userId) => {
+  try {
+    const item = await Model.findOneAndDelete(
+      { _id: id, user: userId },
+      { projection }
+    );
+    logger.info(`revoke(): ${model} revoked`, { id, revoked: Boolean(item) });
+    return item;
+  } catch (error) {
+    logger.error(`revoke(): Failed to revoke ${model}`, error);
+    throw new AppError(`Failed to revoke ${model}`, error.message);
+  }
+};
+
+// The user and the token of a Bearer token, null when the token is unknown,
+// expired or belongs to a deactivated user. The use is recorded on the token.
+// Admin rights only come with the admin scope.
+const authenticate = async (token) => {
+  try {
+    const item = await Model.findOneAndUpdate(
+      { tokenHash: hashToken(token), expiresAt: { $gt: new Date() } },
+      { $set: { lastUsedAt: new Date() } },
+      { new: true, projection }
+    );
+    const user = item ? await getUserById(item.user) : null;
+    if (!user || user.isDeactivated) {
+      logger.info(`authenticate(): ${model} rejected`, {
+        id: item?._id,
+      });
+      return null;
+    }
+    return {
+      token: item,
+      user: {
+        _id: user._id,
+        email: user.email,
+        authType: user.authType,
+        displayName: user.displayName,
+        isAdmin: user.isAdmin && item.scopes.includes('admin'),
+        isDeactivated: user.isDeactivated,
+        isDemo: user.isDemo,
+        isVerified: user.isVerified,
+      },
+    };
+  } catch (error) {
+    logger.error(`authenticate(): Failed to authenticate ${model}`, error);
+    throw new AppError(`Failed to authenticate ${model}`, error.message);
+  }
+};
+
+// Reads need the read or the write scope, everything else the write scope
+const hasScope = (token, method) =>
+  READ_METHODS.includes(method)
+    ? token.scopes.some((scope) => ['read', 'write'].includes(scope))
+    : token.scopes.includes('write');
+
+module.exports = {
+  create,
+  getAllByUser,
+  revoke,
+  authenticate,
+  hasScope,
+};
@@ -10,8 +10,12 @@ const {
   updateById,
   deleteById,
   followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
   deactivateUser,
   activateUser,
+  getGitHubRateLimit,
 } = require('./service');
 
 const {
@@ -19,7 +23,12 @@ const {
   updateSchema,
   idSchema,
   searchSchema,
+  followersSchema,
+  followingSchema,
 } = require('./request');
+const { getUserLanguageStats } = require('../stats/service');
+const { languageStatsSchema } = require('../stats/request');
+const { destroyUserSessions } = require('../../auth/sessions');
 const { validateRequest } = require('../../middlewares/request-validate');
 const { logRequest } = require('../../middlewares/log');
 const { isAuthorized } = require('../../middlewares/auth/authorization');
@@ -59,22 +68,46 @@ const routes = () => {
     }
   );
 
-  router.get(
+  // GitHub API quota left for the logged in user's token
+  router.get('/me/rate-limit', logRequest({}), async (req, res, next) => {
+    try {
+      const rateLimit = await getGitHubRateLimit(req.user._id);
+      res.status(200).json(rateLimit);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post(
     '/:id/follow',
     logRequest({}),
     validateRequest({ schema: idSchema, isParam: true }),
     async (req, res, next) => {
       const currentUserId = req.user._id;
       try {
-        if (currentUserId === req.params.id) {
-          throw new AppError(
-            'Cannot follow yourself',
-            'Cannot follow yourself',
-            400
-          );
+        // following yourself is refused by the service with status 400
+        const result = await followUser(currentUserId, req.params.id);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
         }
+        res.status(200).json({ result });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
 
-        const result = await followUser(currentUserId, req.params.id);
+  router.delete(
+    '/:id/follow',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      const currentUserId = req.user._id;
+      try {
+        const result = await unfollowUser(currentUserId, req.params.id);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
         res.status(200).json({ result });
       } catch (error) {
         next(error);
@@ -82,6 +115,62 @@ const routes = () => {
     }
   );
 
+  router.get(
+    '/:id/followers',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: followersSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const result = await getFollowers(req.params.id, req.query);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.get(
+    '/:id/following',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: followingSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const result = await getFollowing(req.params.id, req.query);
+        if (!result) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        res.status(200).json(result);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // language breakdown across the repositories followed by the user
+  router.get(
+    '/:id/stats/languages',
+    logRequest({}),
+    validateRequest({ schema: idSchema, isParam: true }),
+    validateRequest({ schema: languageStatsSchema, isQuery: true }),
+    async (req, res, next) => {
+      try {
+        const user = await getById(req.params.id);
+        if (!user) {
+          throw new AppError(`${model} not found`, `${model} not found`, 404);
+        }
+        const stats = await getUserLanguageStats(user._id, req.query);
+        res.status(200).json(stats);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
   router.get(
     '/:id',
     logRequest({}),
@@ -99,34 +188,24 @@ const routes = () => {
     }
   );
 
-  const destroySession = async (deactivatedUser, sessionStore) => {
-    const result = await new Promise((resolve, reject) => {
-      sessionStore.all((err, sessions = []) => {
-        // find the sessionId by userId
-        const session = sessions.find(
-          (session) => session.userId === deactivatedUser?._id?.toString()
+  // log out every session of the user
+  router.delete(
+    '/:id/sessions',
+    logRequest({}),
+    isAuthorized,
+    validateRequest({ schema: idSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const count = await destroyUserSessions(
+          req.sessionStore,
+          req.params.id
         );
-        const sessionId = session?.sessionId;
-
-        if (sessionId) {
-          logger.info('destroySession(): sessionId', { sessionId });
-          sessionStore.destroy(sessionId, (err) => {
-            if (err) {
-              logger.error('Failed to destroy session', err);
-              reject(err);
-            } else {
-              logger.info('Session destroyed');
-              resolve(true);
-            }
-          });
-        } else {
-          logger.info('No session found to destroy');
-          resolve(true);
-        }
-      });
-    });
-    return result;
-  };
+        res.status(200).json({ message: 'Sessions logged out', count });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
 
   router.delete(
     '/:id',
@@ -136,8 +215,11 @@ const routes = () => {
     async (req, res, next) => {
       try {
         const deactivatedUser = await deactivateUser(req.params.id);
-        // remove the deactivated user's session from the session store
-        const result = await destroySession(deactivatedUser, req.sessionStore);
+        // log out every session of the deactivated user
+        const result = await destroyUserSessions(
+          req.sessionStore,
+          deactivatedUser._id
+        );
         logger.info('delete() deactivate user result', {
           result,
           username: deactivatedUser.username,
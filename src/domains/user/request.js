@@ -29,4 +29,20 @@ const searchSchema = Joi.object({
   order: Joi.string().valid('asc', 'desc'),
 });
 
-module.exports = { createSchema, updateSchema, idSchema, searchSchema };
+const followersSchema = Joi.object({
+  page: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const followingSchema = followersSchema.keys({
+  type: Joi.string().valid('users', 'repositories').default('users'),
+});
+
+module.exports = {
+  createSchema,
+  updateSchema,
+  idSchema,
+  searchSchema,
+  followersSchema,
+  followingSchema,
+};
@@ -31,6 +31,17 @@ const schema = new mongoose.Schema({
     password: {
       type: String,
     },
+    // pending password reset, only the sha256 of the mailed token is stored
+    passwordReset: {
+      type: new mongoose.Schema(
+        {
+          tokenHash: { type: String },
+          expiresAt: { type: Date },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
   },
 
   google: {
@@ -134,42 +145,21 @@ const schema = new mongoose.Schema({
 
 schema.add(baseSchema);
 
-// Current problematic logic
+// authType is the login method the account was created with, more methods can
+// be linked to the account
 schema.pre('save', function (next) {
   const authMethods = ['local', 'google', 'github'];
 
-  // Better check for populated methods
-  const populatedMethods = authMethods.filter((method) => {
-    const authData = this[method];
-    // Check if the auth data exists and has actual values
-    return (
-      authData &&
-      typeof authData === 'object' &&
-      Object.values(authData).some((value) => {
-        // Improved value checking
-        if (typeof value === 'object') {
-          return value !== null && Object.keys(value).length > 0;
-        }
-        return value !== null && value !== undefined && value !== '';
-      })
-    );
-  });
-
   // Validation
   if (!this.authType || !authMethods.includes(this.authType)) {
     return next(new Error('Invalid auth type'));
   }
 
-  // Verify that only the specified auth type has data
+  // Verify that the specified auth type has data
   if (!this[this.authType]) {
     return next(new Error(`Missing data for auth type: ${this.authType}`));
   }
 
-  // Check for multiple auth methods
-  if (populatedMethods.length > 1) {
-    return next(new Error('Multiple auth methods detected'));
-  }
-
   next();
 });
 
@@ -177,6 +167,7 @@ schema.pre('save', function (next) {
 schema.index({ 'github.id': 1 }, { unique: true, sparse: true });
 schema.index({ 'google.id': 1 }, { unique: true, sparse: true });
 schema.index({ 'local.username': 1 }, { unique: true, sparse: true });
+schema.index({ 'local.passwordReset.tokenHash': 1 }, { sparse: true });
 schema.index({ email: 1 }, { unique: true });
 
 module.exports = mongoose.model('User', schema);
@@ -1,11 +1,28 @@
+const _ = require('lodash');
 const logger = require('../../libraries/log/logger');
 
 const Model = require('./schema');
+const {
+  TARGET_TYPES,
+  follow,
+  unfollow,
+  getFollowers: getTargetFollowers,
+  getFollowing: getTargetFollowing,
+} = require('../follow/service');
 const { AppError } = require('../../libraries/error-handling/AppError');
+const github = require('../../libraries/util/githubUtils');
+const { decryptGitHubToken } = require('../../auth/util');
 
 const model = 'user';
 const projection = { accessToken: 0, accessTokenIV: 0 };
 
+// Field that is set when the login method is linked to the user
+const LOGIN_METHOD_FIELDS = {
+  local: 'local.password',
+  github: 'github.id',
+  google: 'google.id',
+};
+
 const create = async (userData) => {
   try {
     const user = new Model(userData);
@@ -97,7 +114,13 @@ const updateById = async (id, data) => {
     return item;
   } catch (error) {
     logger.error(`updateById(): Failed to update ${model}`, error);
-    throw new AppError(`Failed to update ${model}`, error.message);
+    throw new AppError(
+      `Failed to update ${model}`,
+      error.message,
+      500,
+      true,
+      error
+    );
   }
 };
 
@@ -163,43 +186,111 @@ const getByEmail = async (email) => {
   }
 };
 
-const followUser = async (followerId, followedId) => {
+// Set the password of the user holding the reset token and remove the token,
+// so it can only be used once. Returns null when no unexpired token matches.
+const updatePasswordByResetToken = async (tokenHash, password) => {
   try {
-    // Check existing following status (Optimized)
-    const follower = await Model.findById(followerId);
-    const existingFollowing = follower.csFollowing.find(
-      (item) => item._id.toString() === followedId.toString()
+    const item = await Model.findOneAndUpdate(
+      {
+        'local.passwordReset.tokenHash': tokenHash,
+        'local.passwordReset.expiresAt': { $gt: new Date() },
+      },
+      {
+        $set: { 'local.password': password, updatedAt: new Date() },
+        $unset: { 'local.passwordReset': 1 },
+      },
+      { new: true }
+    );
+    logger.info(`updatePasswordByResetToken(): ${model} password reset`, {
+      id: item?._id,
+    });
+    return item;
+  } catch (error) {
+    logger.error(
+      `updatePasswordByResetToken(): Failed to reset ${model} password`,
+      error
     );
+    throw new AppError(`Failed to reset ${model} password`, error.message);
+  }
+};
 
-    if (existingFollowing) {
-      logger.info(
-        `followUser(): User ${followerId} is already following user ${followedId}`
-      );
-      return true;
-    }
+// Login methods linked to the user, e.g. ['local', 'github']
+const getLoginMethods = (user) =>
+  Object.keys(LOGIN_METHOD_FIELDS).filter((method) =>
+    _.get(user, LOGIN_METHOD_FIELDS[method])
+  );
 
-    // Perform the updates
-    const [followedUserUpdate, followerUserUpdate] = await Promise.all([
-      // Update csFollowers of the followed user
-      Model.findByIdAndUpdate(followedId, {
-        $push: { csFollowers: { _id: followerId, date: Date.now() } }, // Add follow date
-      }),
-
-      // Update csFollowing of the follower user
-      Model.findByIdAndUpdate(followerId, {
-        $push: { csFollowing: { _id: followedId, date: Date.now() } },
-      }),
-    ]);
-
-    logger.info(`followUser(): success`, {
-      followedId,
-      followedUserUpdate,
-      followerUserUpdate,
+// Unlink a login method unless it is the last one of the user: the update only
+// matches while another method is linked, concurrent unlinks can not remove
+// them all. Returns null when nothing was unlinked.
+const removeLoginMethod = async (id, method, authType) => {
+  try {
+    const others = Object.keys(LOGIN_METHOD_FIELDS).filter(
+      (other) => other !== method
+    );
+    const item = await Model.findOneAndUpdate(
+      {
+        _id: id,
+        [LOGIN_METHOD_FIELDS[method]]: { $exists: true, $ne: null },
+        $or: others.map((other) => ({
+          [LOGIN_METHOD_FIELDS[other]]: { $exists: true, $ne: null },
+        })),
+      },
+      { $unset: { [method]: 1 }, $set: { authType, updatedAt: new Date() } },
+      { new: true }
+    );
+    logger.info(`removeLoginMethod(): ${model} login method removed`, {
+      id,
+      method,
+      removed: Boolean(item),
     });
-    return true;
+    return item;
+  } catch (error) {
+    logger.error(
+      `removeLoginMethod(): Failed to remove ${model} login method`,
+      error
+    );
+    throw new AppError(`Failed to remove ${model} login method`, error.message);
+  }
+};
+
+const followUser = async (followerId, followedId) =>
+  follow(followerId, TARGET_TYPES.USER, followedId);
+
+const unfollowUser = async (followerId, followedId) =>
+  unfollow(followerId, TARGET_TYPES.USER, followedId);
+
+const getFollowers = async (id, query) =>
+  getTargetFollowers(TARGET_TYPES.USER, id, query);
+
+const getFollowing = async (id, { type = 'users', ...query } = {}) =>
+  getTargetFollowing(
+    id,
+    type === 'repositories' ? TARGET_TYPES.REPOSITORY : TARGET_TYPES.USER,
+    query
+  );
+
+const getGitHubRateLimit = async (id) => {
+  const user = await Model.findById(id);
+  const token = decryptGitHubToken(user);
+  if (!token) {
+    throw new AppError(
+      'github-not-connected',
+      'GitHub account is not connected',
+      400
+    );
+  }
+
+  try {
+    const rateLimit = await github.fetchRateLimit(token);
+    logger.info('getGitHubRateLimit(): success', {
+      id,
+      remaining: rateLimit.core.remaining,
+    });
+    return rateLimit;
   } catch (error) {
-    logger.error(`followUser(): Failed to update follow status`, error);
-    throw new AppError(`Failed to update follow status`, error.message);
+    logger.error(`getGitHubRateLimit(): Failed to get rate limit`, error);
+    throw new AppError('Failed to get GitHub rate limit', error.message);
   }
 };
 
@@ -213,8 +304,15 @@ module.exports = {
   getByGitHubId,
   getByUsername,
   followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
   deactivateUser,
   activateUser,
   getByEmail,
   getByGoogleId,
+  updatePasswordByResetToken,
+  getLoginMethods,
+  removeLoginMethod,
+  getGitHubRateLimit,
 };
@@ -0,0 +1,33 @@
+const express = require('express');
+const logger = require('../../libraries/log/logger');
+
+const { handleGitHubDelivery } = require('./service');
+
+const model = 'Webhook';
+
+// Called by GitHub, not by users: no session, authenticated by the signature
+const routes = () => {
+  const router = express.Router();
+  logger.info(`Setting up routes for ${model}`);
+
+  // the signature is computed over the exact bytes GitHub sent
+  router.use(express.raw({ type: 'application/json', limit: '5mb' }));
+
+  router.post('/github', async (req, res, next) => {
+    try {
+      const result = await handleGitHubDelivery({
+        event: req.get('x-github-event'),
+        deliveryId: req.get('x-github-delivery'),
+        signature: req.get('x-hub-signature-256'),
+        rawBody: req.body,
+      });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { routes };
@@ -0,0 +1,8 @@
+const { routes } = require('./api');
+
+// Mounted on the express app itself, before the body parsers and the session
+const defineRoutes = (expressApp) => {
+  expressApp.use('/api/webhooks', routes());
+};
+
+module.exports = defineRoutes;
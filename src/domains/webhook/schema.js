@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A received GitHub webhook delivery, kept to ignore redeliveries of the
+// same event. Deliveries expire after 30 days.
+const schema = new mongoose.Schema({
+  deliveryId: { type: String, required: true, unique: true },
+  event: { type: String, required: true },
+  action: { type: String },
+  repositoryGithubId: { type: Number },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored'],
+    default: 'processing',
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 30 * 24 * 60 * 60,
+  },
+});
+
+module.exports = mongoose.model('WebhookDelivery', schema);
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const logger = require('../../libraries/log/logger');
+
+const Model = require('./schema');
+const { AppError } = require('../../libraries/error-handling/AppError');
+
+const {
+  getWebhookSecretByGitHubId,
+  updateFromWebhookPayload,
+} = require('../repository/service');
+const {
+  mapPullRequestData,
+  upsertPullRequest,
+} = require('../pull/service');
+const { recordSnapshot } = require('../snapshot/service');
+
+const model = 'webhook delivery';
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+const verifySignature = (rawBody, signature, secret) => {
+  if (!signature?.startsWith(SIGNATURE_PREFIX)) {
+    return false;
+  }
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+  );
+  const received = Buffer.from(signature.slice(SIGNATURE_PREFIX.length));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+const handlePullRequest = async (repository, payload) => {
+  const pull = await upsertPullRequest({
+    ...mapPullRequestData(payload.pull_request),
+    repository: repository._id,
+  });
+  return { pullId: pull._id };
+};
+
+const handlePush = async (repository, payload) => {
+  await updateFromWebhookPayload(repository, payload.repository);
+  return { commits: payload.commits?.length ?? 0 };
+};
+
+const handleStar = async (repository, payload) => {
+  const updated = await updateFromWebhookPayload(
+    repository,
+    payload.repository
+  );
+  await recordSnapshot(updated);
+  return { stargazers_count: updated.stargazers_count };
+};
+
+const handleRepository = async (repository, payload) => {
+  if (payload.action === 'deleted') {
+    logger.warn('handleRepository(): repository deleted on GitHub', {
+      repositoryId: repository._id,
+    });
+    return { deleted: true };
+  }
+  await updateFromWebhookPayload(repository, payload.repository);
+  return { updated: true };
+};
+
+const handlers = {
+  pull_request: handlePullRequest,
+  push: handlePush,
+  star: handleStar,
+  repository: handleRepository,
+};
+
+const handleGitHubDelivery = async ({
+  event,
+  deliveryId,
+  signature,
+  rawBody,
+}) => {
+  if (!event || !deliveryId || !Buffer.isBuffer(rawBody)) {
+    throw new AppError(
+      'invalid-webhook',
+      'Missing webhook headers or body',
+      400
+    );
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf-8'));
+  } catch (error) {
+    throw new AppError('invalid-webhook', 'Malformed webhook payload', 400);
+  }
+
+  const githubId = payload.repository?.id;
+  const { repository, secret } = await getWebhookSecretByGitHubId(githubId);
+  if (!repository || !secret) {
+    throw new AppError(
+      'webhook-not-configured',
+      'No webhook is configured for this repository',
+      404
+    );
+  }
+  if (!verifySignature(rawBody, signature, secret)) {
+    throw new AppError('invalid-signature', 'Invalid webhook signature', 401);
+  }
+
+  const handler = handlers[event];
+  try {
+    await Model.create({
+      deliveryId,
+      event,
+      action: payload.action,
+      repositoryGithubId: githubId,
+      status: handler ? 'processing' : 'ignored',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info('handleGitHubDelivery(): duplicate delivery', {
+        deliveryId,
+        event,
+      });
+      return { status: 'duplicate' };
+    }
+    throw error;
+  }
+
+  if (!handler) {
+    logger.info('handleGitHubDelivery(): event ignored', { deliveryId, event });
+    return { status: 'ignored' };
+  }
+
+  try {
+    const result = await handler(repository, payload);
+    await Model.updateOne({ deliveryId }, { status: 'processed' });
+    logger.info('handleGitHubDelivery(): event processed', {
+      deliveryId,
+      event,
+      action: payload.action,
+      result,
+    });
+    return { status: 'processed', ...result };
+  } catch (error) {
+    // forget the delivery so a redelivery from GitHub is processed again
+    await Model.deleteOne({ deliveryId });
+    logger.error(`handleGitHubDelivery(): Failed to process ${model}`, error);
+    throw new AppError(`Failed to process ${model}`, error.message);
+  }
+};
+
+module.exports = {
+  verifySignature,
+  handleGitHubDelivery,
+};
@@ -9,12 +9,12 @@ const mongoose = require('mongoose');
 const baseSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
-    default: new Date(),
+    default: Date.now,
     index: true,
   },
   updatedAt: {
     type: Date,
-    default: new Date(),
+    default: Date.now,
     index: true,
   },
 });
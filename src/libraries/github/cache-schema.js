@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A cached GitHub GET response, replayed when GitHub answers a conditional
+// request with 304 Not Modified. The key is scoped to the token, so private
+// data is never served to another user. The body is stored as serialized
+// JSON because GitHub payloads may use keys Mongo does not accept.
+// Entries expire after 7 days.
+const schema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  url: { type: String, required: true },
+  etag: { type: String },
+  lastModified: { type: String },
+  status: { type: Number, required: true },
+  headers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  body: { type: String },
+  cachedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 7 * 24 * 60 * 60,
+  },
+});
+
+module.exports = mongoose.model('GitHubResponseCache', schema);
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { Octokit } = require('octokit');
+
+const config = require('../../configs');
+const logger = require('../log/logger');
+const ResponseCache = require('./cache-schema');
+
+// Headers replayed together with a cached body. `link` keeps pagination
+// working when a page is served from the cache.
+const CACHED_HEADERS = ['content-type', 'etag', 'last-modified', 'link'];
+
+// Shared clients, one per token, so the throttling state is kept between
+// calls. The oldest client is dropped once the limit is reached.
+const MAX_CLIENTS = 100;
+const clients = new Map();
+
+const hashToken = (accessToken) =>
+  crypto
+    .createHash('sha256')
+    .update(accessToken || 'anonymous')
+    .digest('hex');
+
+const pickHeaders = (headers = {}) =>
+  CACHED_HEADERS.reduce((picked, name) => {
+    if (headers[name] !== undefined) {
+      picked[name] = headers[name];
+    }
+    return picked;
+  }, {});
+
+const warnOnLowQuota = (headers = {}, url) => {
+  const remaining = Number(headers['x-ratelimit-remaining']);
+  const limit = Number(headers['x-ratelimit-limit']);
+  if (!limit || Number.isNaN(remaining) || remaining > limit * 0.1) {
+    return;
+  }
+  logger.warn('GitHub rate limit is running low', {
+    url,
+    remaining,
+    limit,
+    resource: headers['x-ratelimit-resource'],
+    resetAt: new Date(Number(headers['x-ratelimit-reset']) * 1000),
+  });
+};
+
+// Retry a throttled request while the wait stays within the configured bounds,
+// otherwise let the rate limit error reach the caller.
+const shouldRetry = (kind) => (retryAfter, options, octokit, retryCount) => {
+  const retry =
+    retryCount < config.GITHUB_MAX_RETRIES &&
+    retryAfter <= config.GITHUB_MAX_RETRY_AFTER;
+  logger.warn(`GitHub ${kind} hit`, {
+    method: options.method,
+    url: options.url,
+    retryAfter,
+    retryCount,
+    retry,
+  });
+  return retry;
+};
+
+// Send GET requests conditionally, using the ETag or Last-Modified of the
+// cached response. A 304 answer does not count against the rate limit and is
+// served from the cache. Cache failures never fail the request itself.
+const useResponseCache = (octokit, tokenHash) => {
+  octokit.hook.wrap('request', async (request, options) => {
+    if (!config.GITHUB_CACHE_ENABLED || options.method !== 'GET') {
+      return request(options);
+    }
+
+    const { url } = octokit.request.endpoint(options);
+    const key = crypto
+      .createHash('sha256')
+      .update(`${tokenHash} ${url} ${options.headers?.accept || ''}`)
+      .digest('hex');
+
+    let cached = null;
+    try {
+      cached = await ResponseCache.findOne({ key }).lean();
+    } catch (error) {
+      logger.warn('GitHub response cache lookup failed', { url, error });
+    }
+
+    // wrapped hooks are bound to these options, so the headers are set in place
+    if (cached?.etag) {
+      options.headers['if-none-match'] = cached.etag;
+    } else if (cached?.lastModified) {
+      options.headers['if-modified-since'] = cached.lastModified;
+    }
+
+    try {
+      const response = await request(options);
+      warnOnLowQuota(response.headers, url);
+
+      const { etag, 'last-modified': lastModified } = response.headers;
+      if (etag || lastModified) {
+        ResponseCache.updateOne(
+          { key },
+          {
+            $set: {
+              url,
+              etag,
+              lastModified,
+              status: response.status,
+              headers: pickHeaders(response.headers),
+              body: JSON.stringify(response.data),
+              cachedAt: new Date(),
+            },
+          },
+          { upsert: true }
+        ).catch((error) =>
+          logger.warn('GitHub response cache write failed', { url, error })
+        );
+      }
+      return response;
+    } catch (error) {
+      if (error.status !== 304 || !cached) {
+        throw error;
+      }
+      logger.info('GitHub response served from cache', { url });
+      ResponseCache.updateOne({ key }, { cachedAt: new Date() }).catch(
+        (updateError) =>
+          logger.warn('GitHub response cache touch failed', {
+            url,
+            error: updateError,
+          })
+      );
+      return {
+        status: cached.status,
+        url,
+        headers: { ...error.response.headers, ...cached.headers },
+        data: JSON.parse(cached.body),
+      };
+    }
+  });
+};
+
+// Shared GitHub client for a user's access token
+const getGitHubClient = (accessToken) => {
+  const tokenHash = hashToken(accessToken);
+  if (clients.has(tokenHash)) {
+    return clients.get(tokenHash);
+  }
+
+  const octokit = new Octokit({
+    auth: accessToken,
+    throttle: {
+      onRateLimit: shouldRetry('rate limit'),
+      onSecondaryRateLimit: shouldRetry('secondary rate limit'),
+    },
+  });
+  useResponseCache(octokit, tokenHash);
+
+  if (clients.size >= MAX_CLIENTS) {
+    clients.delete(clients.keys().next().value);
+  }
+  clients.set(tokenHash, octokit);
+  return octokit;
+};
+
+const toRateLimitStatus = ({ limit, used, remaining, reset }) => ({
+  limit,
+  used,
+  remaining,
+  resetAt: new Date(reset * 1000),
+});
+
+// Current rate limit of a token. Checking it does not use up the quota.
+const getRateLimit = async (accessToken) => {
+  const octokit = getGitHubClient(accessToken);
+  const { data } = await octokit.request('GET /rate_limit', {
+    headers: {
+      'X-GitHub-Api-Version': '2022-11-28',
+    },
+  });
+  const { core, search, graphql } = data.resources;
+  return {
+    core: toRateLimitStatus(core),
+    search: toRateLimitStatus(search),
+    graphql: toRateLimitStatus(graphql),
+  };
+};
+
+module.exports = {
+  getGitHubClient,
+  getRateLimit,
+};
@@ -0,0 +1,63 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const config = require('../../configs');
+const logger = require('../log/logger');
+const { AppError } = require('../error-handling/AppError');
+
+// The http transport and stand-ins for development and tests, another
+// provider is plugged in with setMailTransport
+const transports = {
+  // the message is posted as JSON
+  http: async (message) => {
+    const response = await fetch(config.MAIL_HTTP_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.MAIL_HTTP_TOKEN && {
+          Authorization: `Bearer ${config.MAIL_HTTP_TOKEN}`,
+        }),
+      },
+      body: JSON.stringify(message),
+    });
+    if (!response.ok) {
+      throw new Error(`Mail API responded with status ${response.status}`);
+    }
+  },
+  // only the recipient and subject are logged, the text holds secret links
+  console: async ({ to, subject }) => {
+    logger.info('mail(): console transport', { to, subject });
+  },
+  // each mail is written to a JSON file of MAIL_FILE_DIR
+  file: async (message) => {
+    await fs.mkdir(config.MAIL_FILE_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+    await fs.writeFile(
+      path.join(config.MAIL_FILE_DIR, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+};
+
+let customTransport = null;
+
+// Replace the configured transport with an async function receiving the
+// message, e.g. an SMTP or mail API client. null restores the configured one.
+const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const message = { from: config.MAIL_FROM, to, subject, text };
+  const transport = customTransport ?? transports[config.MAIL_TRANSPORT];
+  try {
+    await transport(message);
+    logger.info('sendMail(): mail sent', { to, subject });
+  } catch (error) {
+    logger.error('sendMail(): Failed to send mail', error);
+    throw new AppError('mail-not-sent', error.message);
+  }
+};
+
+module.exports = { sendMail, setMailTransport };
@@ -0,0 +1,135 @@
+const { CronJob } = require('cron');
+
+const logger = require('../log/logger');
+const { AppError } = require('../error-handling/AppError');
+
+// In-memory registry of the scheduled jobs, keyed by job name
+const jobs = new Map();
+
+const toJobStatus = (job) => {
+  const { cronJob, task, ...state } = job;
+  return {
+    ...state,
+    isScheduled: Boolean(cronJob?.running),
+    nextRunAt: cronJob?.running ? cronJob.nextDate().toJSDate() : null,
+  };
+};
+
+const executeJob = async (job, trigger) => {
+  if (job.status === 'running') {
+    logger.warn(`executeJob(): ${job.name} is already running, skipping`, {
+      trigger,
+    });
+    return null;
+  }
+
+  const startedAt = new Date();
+  Object.assign(job, {
+    status: 'running',
+    lastRunAt: startedAt,
+    lastTrigger: trigger,
+  });
+  logger.info(`executeJob(): ${job.name} started`, { trigger });
+
+  try {
+    const result = await job.task();
+    Object.assign(job, {
+      status: 'succeeded',
+      lastResult: result ?? null,
+      lastError: null,
+    });
+    logger.info(`executeJob(): ${job.name} succeeded`, { result });
+  } catch (error) {
+    Object.assign(job, {
+      status: 'failed',
+      lastResult: null,
+      lastError: error.message,
+    });
+    logger.error(`executeJob(): ${job.name} failed`, error);
+  } finally {
+    const finishedAt = new Date();
+    Object.assign(job, {
+      lastFinishedAt: finishedAt,
+      lastDurationMs: finishedAt - startedAt,
+      runCount: job.runCount + 1,
+    });
+  }
+
+  return toJobStatus(job);
+};
+
+const registerJob = ({ name, description = '', cronTime = null, task }) => {
+  if (jobs.has(name)) {
+    throw new AppError(
+      'job-already-registered',
+      `Job ${name} is already registered`
+    );
+  }
+
+  const job = {
+    name,
+    description,
+    cronTime,
+    task,
+    status: 'idle',
+    lastTrigger: null,
+    lastRunAt: null,
+    lastFinishedAt: null,
+    lastDurationMs: null,
+    lastResult: null,
+    lastError: null,
+    runCount: 0,
+    cronJob: null,
+  };
+  // jobs without a cron time can only be triggered manually
+  if (cronTime) {
+    job.cronJob = new CronJob(cronTime, () => executeJob(job, 'schedule'));
+  }
+  jobs.set(name, job);
+  logger.info(`registerJob(): ${name} registered`, { cronTime });
+  return toJobStatus(job);
+};
+
+const startScheduler = () => {
+  jobs.forEach((job) => job.cronJob?.start());
+  logger.info('Scheduler started', { jobs: [...jobs.keys()] });
+};
+
+const stopScheduler = () => {
+  jobs.forEach((job) => job.cronJob?.stop());
+  logger.info('Scheduler stopped');
+};
+
+const getJobs = () => [...jobs.values()].map(toJobStatus);
+
+const getJob = (name) => {
+  const job = jobs.get(name);
+  return job ? toJobStatus(job) : null;
+};
+
+// Trigger a job immediately, outside of its schedule.
+// The run continues in the background, the returned status shows it as running.
+const runJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new AppError('job-not-found', `Job ${name} not found`, 404);
+  }
+  if (job.status === 'running') {
+    throw new AppError(
+      'job-already-running',
+      `Job ${name} is already running`,
+      409
+    );
+  }
+  executeJob(job, 'manual');
+  return toJobStatus(job);
+};
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  getJobs,
+  getJob,
+  runJob,
+};
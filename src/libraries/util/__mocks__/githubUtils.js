@@ -157,6 +157,83 @@ const fetchRepoDetails = async (username, repoName, accessToken) => {
   };
 };
 
+const fetchRepoDetailsById = async (repositoryId, accessToken) => {
+  return fetchRepoDetails();
+};
+
+// the sample pull requests of the state updated after since, a jest.fn so the
+// tests can check what was asked
+const fetchRepoPullRequests = jest.fn(
+  async (username, repoName, accessToken, { state = 'all', since = null }) =>
+    require('../../../../docs/sample-data/pull-request.json').filter(
+      (pullRequest) =>
+        (state === 'all' || pullRequest.state === state) &&
+        (!since || new Date(pullRequest.updated_at) > new Date(since))
+    )
+);
+
+const fetchPullRequestCommits = jest.fn(
+  async (username, repoName, pullNumber, accessToken) => {
+    return require('../../../../docs/sample-data/pull-request-commits.json');
+  }
+);
+
+// the same GitHub id for the same full name
+const getRepositoryId = (fullName) =>
+  [...fullName].reduce(
+    (hash, char) => (hash * 31 + char.charCodeAt(0)) % 1000000000,
+    0
+  );
+
+const fetchRepoLanguages = jest.fn(async (owner, repoName, accessToken) => ({
+  JavaScript: 12000,
+  Shell: 300,
+}));
+
+const fetchOwnerRepositories = async (owner, ownerType, accessToken) => {
+  const repository = (name, values) => ({
+    id: getRepositoryId(`${owner}/${name}`),
+    node_id: `R_${owner}_${name}`,
+    name,
+    full_name: `${owner}/${name}`,
+    owner: { login: owner, type: 'Organization' },
+    created_at: '2024-01-01T00:00:00Z',
+    updated_at: '2024-06-01T00:00:00Z',
+    pushed_at: '2024-06-01T00:00:00Z',
+    language: 'JavaScript',
+    archived: false,
+    fork: false,
+    stargazers_count: 10,
+    ...values,
+  });
+  return [
+    repository('api'),
+    repository('web', { language: 'TypeScript', stargazers_count: 50 }),
+    repository('legacy', { archived: true, stargazers_count: 2 }),
+    repository('fork-of-lib', { fork: true }),
+  ];
+};
+
+const fetchUserRepositories = async (relation, accessToken) => {
+  return fetchOwnerRepositories(relation === 'starred' ? 'stars' : 'watches');
+};
+
+const fetchRateLimit = async (accessToken) => {
+  const resetAt = new Date(Date.now() + 60 * 60 * 1000);
+  return {
+    core: { limit: 5000, used: 12, remaining: 4988, resetAt },
+    search: { limit: 30, used: 0, remaining: 30, resetAt },
+    graphql: { limit: 5000, used: 0, remaining: 5000, resetAt },
+  };
+};
+
 module.exports = {
   fetchRepoDetails,
+  fetchRepoLanguages,
+  fetchRepoDetailsById,
+  fetchRepoPullRequests,
+  fetchPullRequestCommits,
+  fetchOwnerRepositories,
+  fetchUserRepositories,
+  fetchRateLimit,
 };
@@ -1,10 +1,8 @@
-const { Octokit } = require('octokit');
+const { getGitHubClient, getRateLimit } = require('../github');
 
 async function fetchRepoDetails(username, repoName, accessToken) {
   try {
-    const octokit = new Octokit({
-      auth: accessToken,
-    });
+    const octokit = getGitHubClient(accessToken);
 
     const response = await octokit.request('GET /repos/{owner}/{repo}', {
       owner: username,
@@ -35,30 +33,204 @@ async function fetchRepoDetails(username, repoName, accessToken) {
   }
 }
 
+// Bytes of code per language of a repository
+async function fetchRepoLanguages(owner, repoName, accessToken) {
+  try {
+    const octokit = getGitHubClient(accessToken);
+
+    const response = await octokit.request(
+      'GET /repos/{owner}/{repo}/languages',
+      {
+        owner,
+        repo: repoName,
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28',
+        },
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching repository languages: ${error}`);
+    throw error;
+  }
+}
+
+// Fetch a repository by its numeric GitHub id, which survives renames and
+// transfers, together with its languages
+async function fetchRepoDetailsById(repositoryId, accessToken) {
+  try {
+    const octokit = getGitHubClient(accessToken);
+
+    const response = await octokit.request(
+      'GET /repositories/{repository_id}',
+      {
+        repository_id: repositoryId,
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28',
+        },
+      }
+    );
+
+    const languagesResponse = await octokit.request(
+      'GET /repos/{owner}/{repo}/languages',
+      {
+        owner: response.data.owner.login,
+        repo: response.data.name,
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28',
+        },
+      }
+    );
+
+    return { ...response.data, languages: languagesResponse.data };
+  } catch (error) {
+    console.error(`Error fetching repository details by id: ${error}`);
+    throw error;
+  }
+}
+
+
+// Page through the pull requests of a repository, newest updated first.
+// Pagination follows the Link header (octokit.paginate). When `since` is
+// provided, paging stops at the first pull request not updated after it.
+async function fetchRepoPullRequests(
+  username,
+  repoName,
+  accessToken,
+  { state = 'all', since = null, perPage = 100 } = {}
+) {
+  try {
+    const octokit = getGitHubClient(accessToken);
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const pullRequests = [];
+
+    const iterator = octokit.paginate.iterator(
+      'GET /repos/{owner}/{repo}/pulls',
+      {
+        owner: username,
+        repo: repoName,
+        state, // 'open', 'closed', 'all'
+        sort: 'updated', // 'created', 'updated', 'popularity', 'long-running'
+        direction: 'desc', // 'asc', 'desc'
+        per_page: perPage,
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28',
+        },
+      }
+    );
+
+    for await (const response of iterator) {
+      for (const pullRequest of response.data) {
+        if (
+          sinceTime !== null &&
+          new Date(pullRequest.updated_at).getTime() <= sinceTime
+        ) {
+          return pullRequests;
+        }
+        pullRequests.push(pullRequest);
+      }
+    }
+
+    return pullRequests;
+  } catch (error) {
+    console.error(`Error fetching repository pull requests: ${error}`);
+    throw error;
+  }
+}
+
+// Page through the commits of a pull request. GitHub lists at most 250
+// commits for a pull request, oldest first.
+async function fetchPullRequestCommits(
+  username,
+  repoName,
+  pullNumber,
+  accessToken
+) {
+  try {
+    const octokit = getGitHubClient(accessToken);
 
-async function fetchRepoPullRequests(username, repoName, accessToken) {
+    return await octokit.paginate(
+      'GET /repos/{owner}/{repo}/pulls/{pull_number}/commits',
+      {
+        owner: username,
+        repo: repoName,
+        pull_number: pullNumber,
+        per_page: 100,
+        headers: {
+          'X-GitHub-Api-Version': '2022-11-28',
+        },
+      }
+    );
+  } catch (error) {
+    console.error(`Error fetching pull request commits: ${error}`);
+    throw error;
+  }
+}
+
+// Page through the repositories of an organization or a user account.
+// `ownerType` is 'org' or 'user'.
+async function fetchOwnerRepositories(owner, ownerType, accessToken) {
   try {
-    const octokit = new Octokit({
-      auth: accessToken,
+    const octokit = getGitHubClient(accessToken);
+
+    const route =
+      ownerType === 'org'
+        ? 'GET /orgs/{org}/repos'
+        : 'GET /users/{username}/repos';
+    return await octokit.paginate(route, {
+      org: owner,
+      username: owner,
+      type: ownerType === 'org' ? 'all' : 'owner',
+      sort: 'full_name',
+      per_page: 100,
+      headers: {
+        'X-GitHub-Api-Version': '2022-11-28',
+      },
     });
+  } catch (error) {
+    console.error(`Error fetching owner repositories: ${error}`);
+    throw error;
+  }
+}
 
-    const response = await octokit.request('GET /repos/{owner}/{repo}/pulls', {
-      owner: username,
-      repo: repoName,
-      state: 'closed', // 'open', 'closed', 'all
-      sort: 'updated', // 'created', 'updated', 'popularity', 'long-running'
-      direction: 'desc', // 'asc', 'desc'
-      per_page: 2,
+// Page through the repositories starred or watched by the owner of the
+// access token. `relation` is 'starred' or 'watched'.
+async function fetchUserRepositories(relation, accessToken) {
+  try {
+    const octokit = getGitHubClient(accessToken);
+
+    const route =
+      relation === 'starred' ? 'GET /user/starred' : 'GET /user/subscriptions';
+    return await octokit.paginate(route, {
+      per_page: 100,
       headers: {
         'X-GitHub-Api-Version': '2022-11-28',
       },
     });
+  } catch (error) {
+    console.error(`Error fetching ${relation} repositories: ${error}`);
+    throw error;
+  }
+}
 
-    return response.data;
+// Remaining GitHub quota of the access token, per resource
+async function fetchRateLimit(accessToken) {
+  try {
+    return await getRateLimit(accessToken);
   } catch (error) {
-    console.error(`Error fetching repository pull requests: ${error}`);
+    console.error(`Error fetching rate limit: ${error}`);
     throw error;
   }
 }
 
-module.exports = { fetchRepoDetails, fetchRepoPullRequests };
+module.exports = {
+  fetchRepoDetails,
+  fetchRepoLanguages,
+  fetchRepoDetailsById,
+  fetchRepoPullRequests,
+  fetchPullRequestCommits,
+  fetchOwnerRepositories,
+  fetchUserRepositories,
+  fetchRateLimit,
+};
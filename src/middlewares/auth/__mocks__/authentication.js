@@ -10,4 +10,4 @@ const isAuthenticated = async (req, res, next) => {
   }
 };
 
-module.exports = { isAuthenticated };
+module.exports = { isAuthenticated, isSessionAuthenticated: isAuthenticated };
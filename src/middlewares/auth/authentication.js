@@ -1,14 +1,53 @@
 const logger = require('../../libraries/log/logger');
+const { authenticate, hasScope } = require('../../domains/token/service');
+
+const BEARER = /^Bearer\s+(\S+)$/i;
 
 // Authentication Middleware
+// Accepts a Passport session or a personal access token in a Bearer header
 const isAuthenticated = async (req, res, next) => {
   // Passport's built-in method attached to the request object
   if (req.isAuthenticated()) {
     return next(); // User is authenticated, proceed
-  } else {
-    logger.warn('User is not authenticated');
-    return res.status(401).json({ message: 'Unauthorized' });
   }
+
+  const bearerToken = req.headers.authorization?.match(BEARER)?.[1];
+  if (bearerToken) {
+    try {
+      const result = await authenticate(bearerToken);
+      if (!result) {
+        logger.warn('API token is not valid');
+        return res.status(401).json({ message: 'Unauthorized' });
+      }
+      if (!hasScope(result.token, req.method)) {
+        logger.warn('API token scope does not allow the request', {
+          tokenId: result.token._id,
+        });
+        return res
+          .status(403)
+          .json({ message: 'Token scope does not allow this request' });
+      }
+      req.user = result.user;
+      req.apiToken = result.token;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  logger.warn('User is not authenticated');
+  return res.status(401).json({ message: 'Unauthorized' });
+};
+
+// Accepts only a Passport session. The account routes (logins, password,
+// sessions) can not be used with a token, a token must not lead to a login
+const isSessionAuthenticated = (req, res, next) => {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+
+  logger.warn('User is not authenticated with a session');
+  return res.status(401).json({ message: 'Unauthorized' });
 };
 
-module.exports = { isAuthenticated };
+module.exports = { isAuthenticated, isSessionAuthenticated };
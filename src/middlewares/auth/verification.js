@@ -0,0 +1,33 @@
+const config = require('../../configs');
+const logger = require('../../libraries/log/logger');
+const { getById } = require('../../domains/user/service');
+const { needsVerification } = require('../../auth/emailVerification');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// With EMAIL_VERIFICATION_MODE 'write', local accounts can only read until
+// their email is verified
+const requireVerifiedEmail = async (req, res, next) => {
+  if (
+    config.EMAIL_VERIFICATION_MODE !== 'write' ||
+    READ_METHODS.includes(req.method) ||
+    !needsVerification(req.user)
+  ) {
+    return next();
+  }
+  try {
+    // the email may have been verified since the login, the session user is
+    // updated so the database is not queried again
+    const user = await getById(req.user._id);
+    if (user?.isVerified) {
+      req.user.isVerified = true;
+      return next();
+    }
+    logger.warn('User email is not verified');
+    return res.status(403).json({ message: 'Email is not verified' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = { requireVerifiedEmail };
@@ -3,13 +3,20 @@ const validator = require('validator');
 const logger = require('../../libraries/log/logger');
 const { ValidationError } = require('../../libraries/error-handling/AppError');
 
-function validateRequest({ schema, isParam = false, isQuery = false }) {
+// rawFields are validated as sent, without the escaping, e.g. passwords that
+// are hashed and never rendered
+function validateRequest({
+  schema,
+  isParam = false,
+  isQuery = false,
+  rawFields = [],
+}) {
   return (req, res, next) => {
     const input = isParam ? req.params : isQuery ? req.query : req.body;
 
     // Sanitize inputs
     for (let key in input) {
-      if (typeof input[key] === 'string') {
+      if (typeof input[key] === 'string' && !rawFields.includes(key)) {
         input[key] = validator.escape(input[key]);
       }
     }
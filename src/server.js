@@ -10,36 +10,70 @@ const session = require('express-session');
 const MongoStore = require('connect-mongo'); // For storing sessions in MongoDB
 
 const defineRoutes = require('./app');
+const defineWebhookRoutes = require('./domains/webhook');
 const { errorHandler } = require('./libraries/error-handling');
 const logger = require('./libraries/log/logger');
 const { addRequestIdMiddleware } = require('./middlewares/request-context');
 const { connectWithMongoDb } = require('./libraries/db');
+const { startScheduler, stopScheduler } = require('./libraries/scheduler');
+const { registerJobs } = require('./domains/job/service');
+const { failInterruptedImports } = require('./domains/import/service');
+const { validateRequest } = require('./middlewares/request-validate');
+const auth = require('./middlewares/auth/authentication');
 const {
   getGitHubStrategy,
   clearAuthInfo,
   localStrategy,
   registerUser,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  recordSession,
+  trackSession,
+  listSessions,
+  destroySession,
+  destroyUserSessions,
+  forgetSession,
+  startConnect,
+  listIdentities,
+  unlinkIdentity,
   getGoogleStrategy,
 } = require('./auth');
+const {
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  identityProviderSchema,
+  sessionIdSchema,
+} = require('./auth/request');
 
 let connection;
 
 const handleAuthCallback = (strategy) => {
   return [
     function (req, res, next) {
+      // the flow was started to connect the provider to the logged in user
+      const isConnecting = Boolean(req.session.connectIdentity);
       passport.authenticate(
         strategy,
         {
           failureRedirect: `${config.CLIENT_HOST}/login`,
         },
         (err, user, info, status) => {
+          delete req.session.connectIdentity;
           if (err || !user) {
             logger.error('Failed to authenticate user', err);
             return res.redirect(
-              `${config.CLIENT_HOST}/login?error=${err?.name}`
+              isConnecting
+                ? `${config.CLIENT_HOST}/settings/identities?error=${err?.name}`
+                : `${config.CLIENT_HOST}/login?error=${err?.name}`
             );
           }
-          req.logIn(user, function (err) {
+          req.logIn(user, async function (err) {
             if (err) {
               return res.redirect(
                 `${config.CLIENT_HOST}/login?error=failed-to-authenticate`
@@ -48,6 +82,7 @@ const handleAuthCallback = (strategy) => {
 
             req.session.userId = user._id;
             req.session.sessionId = req.sessionID;
+            await recordSession(req);
             req.session.save((err) => {
               if (err) {
                 logger.error('Failed to save session', err);
@@ -56,6 +91,7 @@ const handleAuthCallback = (strategy) => {
               }
             });
 
+            req.connectedIdentity = info?.connected;
             next();
           });
         }
@@ -67,6 +103,11 @@ const handleAuthCallback = (strategy) => {
           username: req.user.username,
         });
       }
+      if (req.connectedIdentity) {
+        return res.redirect(
+          `${config.CLIENT_HOST}/settings/identities?connected=${req.connectedIdentity}`
+        );
+      }
       const userId = req.user._id.toString();
       res.cookie('userId', userId, {
         httpOnly: true,
@@ -82,6 +123,7 @@ const createExpressApp = () => {
   const expressApp = express();
   expressApp.use(addRequestIdMiddleware);
   expressApp.use(helmet());
+  defineWebhookRoutes(expressApp);
   expressApp.use(express.urlencoded({ extended: true }));
   expressApp.use(express.json());
   expressApp.use(cookieParser());
@@ -96,18 +138,24 @@ const createExpressApp = () => {
   passport.use(getGitHubStrategy());
   passport.use(getGoogleStrategy());
 
-  const sessionStore = MongoStore.create({ mongoUrl: config.MONGODB_URI }); // Store the reference
+  const sessionStore = MongoStore.create({
+    mongoUrl: config.MONGODB_URI,
+    ttl: config.SESSION_TTL_IN_DAYS * 24 * 60 * 60,
+  }); // Store the reference
   expressApp.use(
     session({
       secret: config.SESSION_SECRET,
       resave: false,
-      saveUninitialized: true,
+      // only sessions that hold something are stored, requests with a Bearer
+      // token or without a login do not leave empty sessions behind
+      saveUninitialized: false,
       store: sessionStore,
     })
   );
 
   expressApp.use(passport.initialize());
   expressApp.use(passport.session());
+  expressApp.use(trackSession);
 
   passport.serializeUser(function (user, done) {
     done(null, user);
@@ -128,6 +176,14 @@ const createExpressApp = () => {
   // Github authentication
   expressApp.get('/api/auth/github', passport.authenticate('github'));
 
+  // connect GitHub to the logged in user, the callback links it
+  expressApp.get(
+    '/api/auth/github/connect',
+    auth.isSessionAuthenticated,
+    startConnect('github'),
+    passport.authenticate('github')
+  );
+
   // Replace the GitHub callback route with:
   expressApp.get('/api/auth/github/callback', ...handleAuthCallback('github'));
 
@@ -156,6 +212,94 @@ const createExpressApp = () => {
     }
   });
 
+  // token of the link mailed on registration
+  expressApp.post(
+    '/api/verify-email',
+    validateRequest({ schema: verifyEmailSchema }),
+    async (req, res, next) => {
+      try {
+        const user = await verifyEmail(req.body.token);
+        if (req.user && String(req.user._id) === String(user._id)) {
+          req.user.isVerified = true;
+        }
+        res.json({ message: 'Email verified', user });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // the response is the same whether the email is registered or not
+  expressApp.post(
+    '/api/verify-email/resend',
+    validateRequest({ schema: resendVerificationSchema }),
+    async (req, res, next) => {
+      try {
+        await resendVerificationEmail(req.body.email);
+        res.status(202).json({
+          message: 'A verification email is sent if the account needs one',
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // the response is the same whether the email is registered or not
+  expressApp.post(
+    '/api/password/forgot',
+    validateRequest({ schema: forgotPasswordSchema }),
+    async (req, res, next) => {
+      try {
+        await requestPasswordReset(req.body.email);
+        res.status(202).json({
+          message: 'A reset link is sent if the account has a password',
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // token of the mailed reset link, every session of the user is logged out
+  expressApp.post(
+    '/api/password/reset',
+    validateRequest({ schema: resetPasswordSchema, rawFields: ['password'] }),
+    async (req, res, next) => {
+      try {
+        const user = await resetPassword(req.body.token, req.body.password);
+        await destroyUserSessions(req.sessionStore, user._id);
+        res.json({ message: 'Password reset' });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // the other sessions of the user are logged out
+  expressApp.post(
+    '/api/password/change',
+    auth.isSessionAuthenticated,
+    validateRequest({
+      schema: changePasswordSchema,
+      rawFields: ['currentPassword', 'newPassword'],
+    }),
+    async (req, res, next) => {
+      try {
+        const { currentPassword, newPassword } = req.body;
+        await changePassword(req.user._id, { currentPassword, newPassword });
+        await destroyUserSessions(
+          req.sessionStore,
+          req.user._id,
+          req.sessionID
+        );
+        res.json({ message: 'Password changed' });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
   expressApp.post('/api/login', (req, res, next) => {
     passport.authenticate('local', (err, user, info) => {
       logger.info('Login attempt', { err, user, info });
@@ -168,11 +312,15 @@ const createExpressApp = () => {
           .json({ message: info.message || 'Authentication failed' });
       }
 
-      req.logIn(user, (err) => {
+      req.logIn(user, async (err) => {
         if (err) {
           return next(err);
         }
 
+        req.session.userId = user._id;
+        // lets the sessions of the user be listed and revoked
+        await recordSession(req);
+
         // Create a sanitized user object for the client
         const trimmedPayloadForSession = {
           _id: user._id,
@@ -182,6 +330,7 @@ const createExpressApp = () => {
           isAdmin: user.isAdmin,
           isDeactivated: user.isDeactivated,
           isDemo: user.isDemo,
+          isVerified: user.isVerified,
         };
 
         return res.json({
@@ -195,6 +344,8 @@ const createExpressApp = () => {
   expressApp.get('/api/logout', async (req, res, next) => {
     const username = req.user?.username;
     const userId = req.user?._id;
+    // the logout starts a new session
+    const sessionId = req.sessionID;
 
     req.logout(async function (err) {
       // Passport.js logout function
@@ -219,6 +370,7 @@ const createExpressApp = () => {
         sameSite: 'lax', // Adjust depending on deployment
       });
 
+      await forgetSession(sessionId);
       await clearAuthInfo(userId);
 
       logger.info('User logged out', { username });
@@ -232,6 +384,99 @@ const createExpressApp = () => {
     passport.authenticate('google', { scope: ['profile', 'email'] })
   );
 
+  // connect Google to the logged in user, the callback links it
+  expressApp.get(
+    '/api/auth/google/connect',
+    auth.isSessionAuthenticated,
+    startConnect('google'),
+    passport.authenticate('google', { scope: ['profile', 'email'] })
+  );
+
+  // login methods linked to the account of the logged in user
+  expressApp.get(
+    '/api/user/identities',
+    auth.isSessionAuthenticated,
+    async (req, res, next) => {
+      try {
+        const identities = await listIdentities(req.user._id);
+        res.json(identities);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // logged in sessions of the user, with the devices they are used from
+  expressApp.get(
+    '/api/user/sessions',
+    auth.isSessionAuthenticated,
+    async (req, res, next) => {
+      try {
+        const sessions = await listSessions(req.user._id, req.sessionID);
+        res.json(sessions);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // log out every other session of the user
+  expressApp.delete(
+    '/api/user/sessions',
+    auth.isSessionAuthenticated,
+    async (req, res, next) => {
+      try {
+        const count = await destroyUserSessions(
+          req.sessionStore,
+          req.user._id,
+          req.sessionID
+        );
+        res.json({ message: 'Other sessions logged out', count });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  expressApp.delete(
+    '/api/user/sessions/:id',
+    auth.isSessionAuthenticated,
+    validateRequest({ schema: sessionIdSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        await destroySession(
+          req.sessionStore,
+          req.user._id,
+          req.params.id,
+          req.sessionID
+        );
+        res.json({ message: 'Session logged out' });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // the last login method of the account can not be unlinked
+  expressApp.delete(
+    '/api/user/identities/:provider',
+    auth.isSessionAuthenticated,
+    validateRequest({ schema: identityProviderSchema, isParam: true }),
+    async (req, res, next) => {
+      try {
+        const identities = await unlinkIdentity(
+          req.user._id,
+          req.params.provider
+        );
+        // unlinking the auth type of the account picks another one
+        req.user.authType = identities.primary;
+        res.json(identities);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
   defineRoutes(expressApp);
   defineErrorHandlingMiddleware(expressApp);
   return expressApp;
@@ -243,10 +488,17 @@ async function startWebServer() {
   const APIAddress = await openConnection(expressApp);
   logger.info(`Server is running on ${APIAddress.address}:${APIAddress.port}`);
   await connectWithMongoDb();
+  await failInterruptedImports();
+  // the jobs can be run through the API even when they are not scheduled
+  registerJobs();
+  if (config.SCHEDULER_ENABLED) {
+    startScheduler();
+  }
   return expressApp;
 }
 
 async function stopWebServer() {
+  stopScheduler();
   return new Promise((resolve) => {
     if (connection !== undefined) {
       connection.close(() => {
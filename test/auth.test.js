@@ -0,0 +1,551 @@
+jest.mock('../src/middlewares/auth/authentication');
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createExpressApp } = require('../src/server');
+
+const config = require('../src/configs');
+const User = require('../src/domains/user/schema');
+const UserSession = require('../src/domains/session/schema');
+const { setMailTransport } = require('../src/libraries/mail');
+const { signToken } = require('../src/auth/util');
+const { backfillSessionIndex } = require('../src/auth/sessions');
+const {
+  getOrCreateUserFromGitHubProfile,
+  getOrCreateUserFromGoogleProfile,
+  connectGoogleIdentity,
+} = require('../src/auth');
+const { linkIdentity } = require('../src/auth/identities');
+
+let app = null;
+const mails = [];
+
+beforeAll(async () => {
+  app = createExpressApp();
+  setMailTransport(async (message) => {
+    mails.push(message);
+  });
+});
+afterAll(async () => {
+  setMailTransport(null);
+  await User.deleteMany({ email: /@verify\.example\.com$/ });
+  app = null;
+});
+
+const URLS = {
+  REGISTER: '/api/register',
+  LOGIN: '/api/login',
+  VERIFY_EMAIL: '/api/verify-email',
+  RESEND: '/api/verify-email/resend',
+  FORGOT_PASSWORD: '/api/password/forgot',
+  RESET_PASSWORD: '/api/password/reset',
+  CHANGE_PASSWORD: '/api/password/change',
+  IDENTITIES: '/api/user/identities',
+  SESSIONS: '/api/user/sessions',
+};
+
+const register = async (email) => {
+  const response = await request(app)
+    .post(URLS.REGISTER)
+    .send({ email, password: 'secret-password' });
+  expect(response.status).toBe(201);
+  return response.body.userId;
+};
+
+// token of the last link mailed to the email
+const getMailedToken = (email) => {
+  const mail = mails.filter(({ to }) => to === email).pop();
+  return mail.text.match(/token=([\w.-]+)/)[1];
+};
+
+// sessions of the user in the Mongo session store
+const countSessions = (userId) =>
+  mongoose.connection.db
+    .collection('sessions')
+    .countDocuments({ session: { $regex: userId } });
+
+describe('Auth', () => {
+  describe('Email verification', () => {
+    it('should mail a verification link on registration', async () => {
+      await register('mailed@verify.example.com');
+      expect(getMailedToken('mailed@verify.example.com')).toBeTruthy();
+    });
+
+    it('should verify the email with the mailed token', async () => {
+      const userId = await register('verified@verify.example.com');
+      const token = getMailedToken('verified@verify.example.com');
+
+      const response = await request(app)
+        .post(URLS.VERIFY_EMAIL)
+        .send({ token });
+      expect(response.status).toBe(200);
+      expect((await User.findById(userId)).isVerified).toBe(true);
+
+      const again = await request(app).post(URLS.VERIFY_EMAIL).send({ token });
+      expect(again.status).toBe(200);
+    });
+
+    it('should return status 400 for a tampered or expired token', async () => {
+      const userId = await register('expired@verify.example.com');
+      const token = getMailedToken('expired@verify.example.com');
+
+      const tampered = await request(app)
+        .post(URLS.VERIFY_EMAIL)
+        .send({ token: `${token}x` });
+      expect(tampered.status).toBe(400);
+
+      const expired = await request(app)
+        .post(URLS.VERIFY_EMAIL)
+        .send({
+          token: signToken(
+            {
+              sub: userId,
+              email: 'expired@verify.example.com',
+              purpose: 'verify-email',
+            },
+            -1
+          ),
+        });
+      expect(expired.status).toBe(400);
+      expect((await User.findById(userId)).isVerified).toBe(false);
+    });
+
+    it('should resend the link only to unverified accounts', async () => {
+      await register('resend@verify.example.com');
+      const sent = mails.length;
+
+      const response = await request(app)
+        .post(URLS.RESEND)
+        .send({ email: 'resend@verify.example.com' });
+      expect(response.status).toBe(202);
+      expect(mails.length).toBe(sent + 1);
+
+      const unknown = await request(app)
+        .post(URLS.RESEND)
+        .send({ email: 'unknown@verify.example.com' });
+      expect(unknown.status).toBe(202);
+      expect(mails.length).toBe(sent + 1);
+    });
+
+    describe('when EMAIL_VERIFICATION_MODE is login', () => {
+      beforeAll(() => {
+        config.EMAIL_VERIFICATION_MODE = 'login';
+      });
+      afterAll(() => {
+        config.EMAIL_VERIFICATION_MODE = 'off';
+      });
+
+      it('should refuse the login until the email is verified', async () => {
+        const email = 'login@verify.example.com';
+        await register(email);
+        const credentials = { username: email, password: 'secret-password' };
+
+        const refused = await request(app).post(URLS.LOGIN).send(credentials);
+        expect(refused.status).toBe(401);
+        expect(refused.body.message).toBe('Email is not verified.');
+
+        await request(app)
+          .post(URLS.VERIFY_EMAIL)
+          .send({ token: getMailedToken(email) });
+        const response = await request(app).post(URLS.LOGIN).send(credentials);
+        expect(response.status).toBe(200);
+      });
+    });
+
+    describe('when EMAIL_VERIFICATION_MODE is write', () => {
+      beforeAll(() => {
+        config.EMAIL_VERIFICATION_MODE = 'write';
+      });
+      afterAll(() => {
+        config.EMAIL_VERIFICATION_MODE = 'off';
+      });
+
+      it('should only allow reads until the email is verified', async () => {
+        const email = 'write@verify.example.com';
+        const userId = await register(email);
+        const sessionUser = JSON.stringify({
+          _id: userId,
+          email,
+          authType: 'local',
+          isVerified: false,
+        });
+        const followUrl = `/api/v1/users/66123283c07ca0e7dcc37990/follow`;
+
+        const read = await request(app)
+          .get('/api/v1/users/search')
+          .set('x-mock-user', sessionUser);
+        expect(read.status).toBe(200);
+        const refused = await request(app)
+          .post(followUrl)
+          .set('x-mock-user', sessionUser);
+        expect(refused.status).toBe(403);
+
+        await request(app)
+          .post(URLS.VERIFY_EMAIL)
+          .send({ token: getMailedToken(email) });
+        const allowed = await request(app)
+          .post(followUrl)
+          .set('x-mock-user', sessionUser);
+        expect(allowed.status).toBe(404);
+      });
+    });
+  });
+
+  describe('Password', () => {
+    const email = 'password@verify.example.com';
+    let userId = null;
+
+    beforeAll(async () => {
+      userId = await register(email);
+    });
+
+    it('should reset the password once and log out every session', async () => {
+      const agent = request.agent(app);
+      const login = await agent
+        .post(URLS.LOGIN)
+        .send({ username: email, password: 'secret-password' });
+      expect(login.status).toBe(200);
+      expect(await countSessions(userId)).toBeGreaterThan(0);
+
+      const forgot = await request(app)
+        .post(URLS.FORGOT_PASSWORD)
+        .send({ email });
+      expect(forgot.status).toBe(202);
+      const token = getMailedToken(email);
+      const user = await User.findById(userId);
+      expect(user.local.passwordReset.tokenHash).not.toBe(token);
+
+      const reset = await request(app)
+        .post(URLS.RESET_PASSWORD)
+        .send({ token, password: 'new-password<&>' });
+      expect(reset.status).toBe(200);
+      expect(await countSessions(userId)).toBe(0);
+
+      const reused = await request(app)
+        .post(URLS.RESET_PASSWORD)
+        .send({ token, password: 'other-password' });
+      expect(reused.status).toBe(400);
+
+      const relogin = await request(app)
+        .post(URLS.LOGIN)
+        .send({ username: email, password: 'new-password<&>' });
+      expect(relogin.status).toBe(200);
+    });
+
+    it('should return status 400 for an expired reset token', async () => {
+      await request(app).post(URLS.FORGOT_PASSWORD).send({ email });
+      await User.updateOne(
+        { _id: userId },
+        { 'local.passwordReset.expiresAt': new Date(Date.now() - 1000) }
+      );
+      const response = await request(app)
+        .post(URLS.RESET_PASSWORD)
+        .send({ token: getMailedToken(email), password: 'other-password' });
+      expect(response.status).toBe(400);
+    });
+
+    it('should change the password when the current one is right', async () => {
+      const sessionUser = JSON.stringify({
+        _id: userId,
+        email,
+        authType: 'local',
+      });
+      const wrong = await request(app)
+        .post(URLS.CHANGE_PASSWORD)
+        .set('x-mock-user', sessionUser)
+        .send({ currentPassword: 'wrong-password', newPassword: 'changed-pw' });
+      expect(wrong.status).toBe(400);
+
+      const response = await request(app)
+        .post(URLS.CHANGE_PASSWORD)
+        .set('x-mock-user', sessionUser)
+        .send({
+          currentPassword: 'new-password<&>',
+          newPassword: 'changed-password',
+        });
+      expect(response.status).toBe(200);
+
+      const login = await request(app)
+        .post(URLS.LOGIN)
+        .send({ username: email, password: 'changed-password' });
+      expect(login.status).toBe(200);
+    });
+
+    it('should check and store the password as typed', async () => {
+      const sessionUser = JSON.stringify({ _id: userId, authType: 'local' });
+      // html escaped, the ampersands would take it past 128 characters
+      const longPassword = `${'&'.repeat(20)}${'a'.repeat(108)}`;
+      const tooLong = await request(app)
+        .post(URLS.CHANGE_PASSWORD)
+        .set('x-mock-user', sessionUser)
+        .send({
+          currentPassword: 'changed-password',
+          newPassword: `${longPassword}a`,
+        });
+      expect(tooLong.status).toBe(400);
+
+      const response = await request(app)
+        .post(URLS.CHANGE_PASSWORD)
+        .set('x-mock-user', sessionUser)
+        .send({
+          currentPassword: 'changed-password',
+          newPassword: longPassword,
+        });
+      expect(response.status).toBe(200);
+
+      const login = await request(app)
+        .post(URLS.LOGIN)
+        .send({ username: email, password: longPassword });
+      expect(login.status).toBe(200);
+    });
+
+    it('should return status 401 when changing without a session', async () => {
+      const response = await request(app)
+        .post(URLS.CHANGE_PASSWORD)
+        .send({ currentPassword: 'a-password', newPassword: 'b-password' });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Identities', () => {
+    const gitHubProfile = (id, email) => ({
+      id,
+      nodeId: `node-${id}`,
+      username: `user-${id}`,
+      displayName: `User ${id}`,
+      profileUrl: `https://github.com/user-${id}`,
+      _json: { email, avatar_url: `https://avatars.example.com/${id}` },
+    });
+    const googleProfile = (id, email, verified = true) => ({
+      id,
+      displayName: `User ${id}`,
+      emails: [{ value: email, verified }],
+      photos: [{ value: `https://photos.example.com/${id}` }],
+    });
+
+    const registerVerified = async (email) => {
+      const userId = await register(email);
+      await request(app)
+        .post(URLS.VERIFY_EMAIL)
+        .send({ token: getMailedToken(email) });
+      return userId;
+    };
+
+    it('should merge a provider login into the account of the verified email', async () => {
+      const email = 'merged@verify.example.com';
+      const userId = await registerVerified(email);
+
+      const sessionUser = await getOrCreateUserFromGitHubProfile({
+        profile: gitHubProfile('identities-1', email),
+        accessToken: 'github-token',
+      });
+      expect(String(sessionUser._id)).toBe(userId);
+
+      const user = await User.findById(userId);
+      expect(user.authType).toBe('local');
+      expect(user.github.id).toBe('identities-1');
+      expect(user.local.password).toBeTruthy();
+    });
+
+    it('should refuse to merge into an account with an unverified email', async () => {
+      const email = 'unmerged@verify.example.com';
+      await register(email);
+
+      await expect(
+        getOrCreateUserFromGoogleProfile({
+          profile: googleProfile('identities-2', email),
+        })
+      ).rejects.toMatchObject({ name: 'account-exists', HTTPStatus: 409 });
+      expect(await User.countDocuments({ email })).toBe(1);
+    });
+
+    it('should not merge a Google email without the verified flag', async () => {
+      const email = 'unflagged@verify.example.com';
+      await registerVerified(email);
+
+      await expect(
+        getOrCreateUserFromGoogleProfile({
+          profile: {
+            ...googleProfile('identities-5', email),
+            emails: [{ value: email }],
+          },
+        })
+      ).rejects.toMatchObject({ name: 'account-exists', HTTPStatus: 409 });
+      const user = await User.findOne({ email });
+      expect(user.google?.id).toBeUndefined();
+    });
+
+    it('should return status 409 for concurrent links of an identity', async () => {
+      const userIds = await Promise.all(
+        ['race-1@verify.example.com', 'race-2@verify.example.com'].map(register)
+      );
+      const identity = { id: 'identities-race', email: 'race@example.com' };
+
+      const results = await Promise.allSettled(
+        userIds.map((userId) => linkIdentity(userId, 'google', identity))
+      );
+      expect(results.map(({ status }) => status).sort()).toEqual([
+        'fulfilled',
+        'rejected',
+      ]);
+      const { reason } = results.find(({ status }) => status === 'rejected');
+      expect(reason).toMatchObject({
+        name: 'identity-already-linked',
+        HTTPStatus: 409,
+      });
+    });
+
+    it('should connect, list and unlink the login methods', async () => {
+      const email = 'linked@verify.example.com';
+      const userId = await register(email);
+      const sessionUser = JSON.stringify({ _id: userId, authType: 'local' });
+      await connectGoogleIdentity(userId, {
+        profile: googleProfile('identities-3', 'other@gmail.example.com'),
+      });
+
+      const listed = await request(app)
+        .get(URLS.IDENTITIES)
+        .set('x-mock-user', sessionUser);
+      expect(listed.status).toBe(200);
+      expect(listed.body.primary).toBe('local');
+      expect(listed.body.identities.map(({ provider }) => provider)).toEqual([
+        'local',
+        'google',
+      ]);
+
+      const notLinked = await request(app)
+        .delete(`${URLS.IDENTITIES}/github`)
+        .set('x-mock-user', sessionUser);
+      expect(notLinked.status).toBe(404);
+
+      const unlinked = await request(app)
+        .delete(`${URLS.IDENTITIES}/local`)
+        .set('x-mock-user', sessionUser);
+      expect(unlinked.status).toBe(200);
+      expect(unlinked.body.primary).toBe('google');
+      expect(unlinked.body.identities).toEqual([
+        expect.objectContaining({ provider: 'google', canUnlink: false }),
+      ]);
+
+      const last = await request(app)
+        .delete(`${URLS.IDENTITIES}/google`)
+        .set('x-mock-user', sessionUser);
+      expect(last.status).toBe(400);
+
+      const login = await request(app)
+        .post(URLS.LOGIN)
+        .send({ username: email, password: 'secret-password' });
+      expect(login.status).toBe(401);
+    });
+
+    it('should not connect an identity linked to another account', async () => {
+      const userId = await register('taken@verify.example.com');
+      await expect(
+        connectGoogleIdentity(userId, {
+          profile: googleProfile('identities-3', 'other@gmail.example.com'),
+        })
+      ).rejects.toMatchObject({ name: 'identity-already-linked' });
+    });
+
+    it('should return status 400 for an unknown provider', async () => {
+      const response = await request(app)
+        .delete(`${URLS.IDENTITIES}/twitter`)
+        .set('x-mock-user', JSON.stringify({ _id: 'user-id' }));
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Sessions', () => {
+    const email = 'sessions@verify.example.com';
+    let userId = null;
+
+    const login = async (userAgent) => {
+      const agent = request.agent(app);
+      const response = await agent
+        .post(URLS.LOGIN)
+        .set('User-Agent', userAgent)
+        .send({ username: email, password: 'secret-password' });
+      expect(response.status).toBe(200);
+      return agent;
+    };
+
+    beforeAll(async () => {
+      userId = await register(email);
+    });
+
+    it('should list and revoke the sessions of the user', async () => {
+      const agent = await login(
+        'Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0'
+      );
+      await login('curl/8.4.0');
+      const sessionUser = JSON.stringify({ _id: userId });
+
+      const listed = await agent
+        .get(URLS.SESSIONS)
+        .set('x-mock-user', sessionUser);
+      expect(listed.status).toBe(200);
+      expect(listed.body).toHaveLength(2);
+      const current = listed.body.find((item) => item.current);
+      const other = listed.body.find((item) => !item.current);
+      expect(current.device).toBe('Firefox on Linux');
+      expect(other.device).toBe('curl/8.4.0');
+      expect(current.sessionId).toBeUndefined();
+
+      const ownSession = await agent
+        .delete(`${URLS.SESSIONS}/${current._id}`)
+        .set('x-mock-user', sessionUser);
+      expect(ownSession.status).toBe(400);
+
+      const revoked = await agent
+        .delete(`${URLS.SESSIONS}/${other._id}`)
+        .set('x-mock-user', sessionUser);
+      expect(revoked.status).toBe(200);
+      expect(await countSessions(userId)).toBe(1);
+
+      const again = await agent
+        .delete(`${URLS.SESSIONS}/${other._id}`)
+        .set('x-mock-user', sessionUser);
+      expect(again.status).toBe(404);
+    });
+
+    it('should log out every other session', async () => {
+      const agent = await login('Mozilla/5.0 (Windows NT 10.0) Chrome/120.0');
+      await login('curl/8.4.0');
+      await login('curl/8.4.0');
+
+      const response = await agent
+        .delete(URLS.SESSIONS)
+        .set('x-mock-user', JSON.stringify({ _id: userId }));
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBeGreaterThanOrEqual(2);
+      expect(await countSessions(userId)).toBe(1);
+    });
+
+    it('should let an admin log out every session of a user', async () => {
+      await login('curl/8.4.0');
+      const response = await request(app)
+        .delete(`/api/v1/users/${userId}/sessions`)
+        .set('x-mock-user', JSON.stringify({ _id: userId, isAdmin: true }));
+      expect(response.status).toBe(200);
+      expect(await countSessions(userId)).toBe(0);
+    });
+
+    it('should backfill the index and log out the backfilled session', async () => {
+      await login('curl/8.4.0');
+      await UserSession.deleteMany({ user: userId });
+      expect(await countSessions(userId)).toBe(1);
+
+      const summary = await backfillSessionIndex();
+      expect(summary.indexed).toBeGreaterThanOrEqual(1);
+      expect(await UserSession.countDocuments({ user: userId })).toBe(1);
+      expect((await backfillSessionIndex()).indexed).toBe(0);
+
+      const response = await request(app)
+        .delete(`/api/v1/users/${userId}/sessions`)
+        .set('x-mock-user', JSON.stringify({ _id: userId, isAdmin: true }));
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(await countSessions(userId)).toBe(0);
+    });
+  });
+});
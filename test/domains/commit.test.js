@@ -0,0 +1,92 @@
+jest.mock('../../src/middlewares/auth/authentication');
+jest.mock('../../src/libraries/util/githubUtils');
+
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+
+const Commit = require('../../src/domains/commit/schema');
+const Pull = require('../../src/domains/pull/schema');
+const Repository = require('../../src/domains/repository/schema');
+const { syncPullRequestCommits } = require('../../src/domains/commit/service');
+const {
+  mapPullRequestData,
+  upsertPullRequest,
+} = require('../../src/domains/pull/service');
+
+const samplePullRequests = require('../../docs/sample-data/pull-request.json');
+const sampleCommits = require('../../docs/sample-data/pull-request-commits.json');
+
+let app = null;
+let agent = null;
+let pull = null;
+let repository = null;
+
+beforeAll(async () => {
+  app = createExpressApp();
+  const mockUser = { _id: '66123283c07ca0e7dcc37990', isAdmin: false };
+  agent = request.agent(app).set('x-mock-user', JSON.stringify(mockUser));
+
+  repository = await Repository.create({
+    id: samplePullRequests[0].base.repo.id,
+    name: 'react',
+    full_name: 'facebook/react',
+    owner: { login: 'facebook' },
+  });
+  pull = await upsertPullRequest({
+    ...mapPullRequestData(samplePullRequests[0]),
+    repository: repository._id,
+  });
+});
+afterAll(async () => {
+  await Promise.all([
+    Commit.deleteMany({}),
+    Pull.deleteMany({}),
+    Repository.deleteMany({}),
+  ]);
+  app = null;
+});
+
+describe('Domains.Commits', () => {
+  describe('Service', () => {
+    it('should store the commits of the pull request only once', async () => {
+      const first = await syncPullRequestCommits(pull, repository, 'token');
+      expect(first.inserted).toBe(sampleCommits.length);
+
+      const second = await syncPullRequestCommits(pull, repository, 'token');
+      expect(second.inserted).toBe(0);
+      expect(await Commit.countDocuments({ pull: pull._id })).toBe(
+        sampleCommits.length
+      );
+    });
+  });
+
+  describe('API', () => {
+    describe('GET /api/v1/pulls/:id/commits', () => {
+      it('should return status 404 if the pull is not found', async () => {
+        const response = await agent.get(
+          '/api/v1/pulls/66123283c07ca0e7dcc37990/commits'
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should return the commits with author and message', async () => {
+        const response = await agent.get(`/api/v1/pulls/${pull._id}/commits`);
+        expect(response.status).toBe(200);
+        expect(response.body.length).toBe(sampleCommits.length);
+
+        const [commit] = response.body;
+        const sample = sampleCommits.find(({ sha }) => sha === commit.sha);
+        expect(commit.message).toBe(sample.commit.message);
+        expect(commit.author.name).toBe(sample.commit.author.name);
+        expect(commit.author.login).toBe(sample.author.login);
+      });
+    });
+
+    describe('GET /api/v1/commits/:id', () => {
+      it('should return status 400 when id is not valid', async () => {
+        const response = await agent.get('/api/v1/commits/123');
+        expect(response.status).toBe(400);
+      });
+    });
+  });
+});
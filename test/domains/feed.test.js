@@ -0,0 +1,86 @@
+jest.mock('../../src/middlewares/auth/authentication');
+
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+
+const User = require('../../src/domains/user/schema');
+const Pull = require('../../src/domains/pull/schema');
+const Repository = require('../../src/domains/repository/schema');
+const {
+  mapPullRequestData,
+  upsertPullRequest,
+} = require('../../src/domains/pull/service');
+
+const samplePullRequests = require('../../docs/sample-data/pull-request.json');
+
+let app = null;
+let agent = null;
+
+beforeAll(async () => {
+  app = createExpressApp();
+
+  const repository = await Repository.create({
+    id: samplePullRequests[0].base.repo.id,
+    name: 'react',
+    full_name: 'facebook/react',
+  });
+  for (const pullRequest of samplePullRequests) {
+    await upsertPullRequest({
+      ...mapPullRequestData(pullRequest),
+      repository: repository._id,
+    });
+  }
+  const user = await User.create({
+    email: 'feed@example.com',
+    authType: 'github',
+    github: { id: 'feedGithubId' },
+    csFollowingRepositories: [{ _id: repository._id }],
+  });
+
+  agent = request
+    .agent(app)
+    .set('x-mock-user', JSON.stringify({ _id: user._id, isAdmin: false }));
+});
+afterAll(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Pull.deleteMany({}),
+    Repository.deleteMany({}),
+  ]);
+  app = null;
+});
+
+describe('Domains.Feed', () => {
+  describe('GET /api/v1/feed', () => {
+    it('should return the events of the followed repositories', async () => {
+      const response = await agent.get('/api/v1/feed');
+      expect(response.status).toBe(200);
+      expect(response.body.items.length).toBe(samplePullRequests.length);
+      expect(response.body.nextCursor).toBeNull();
+      expect(response.body.items[0].reason).toBe('repository');
+    });
+
+    it('should page through the feed without duplicates', async () => {
+      const seen = [];
+      let cursor = null;
+      do {
+        const response = await agent
+          .get('/api/v1/feed')
+          .query(cursor ? { limit: 1, cursor } : { limit: 1 });
+        expect(response.status).toBe(200);
+        seen.push(...response.body.items.map(({ id }) => id));
+        cursor = response.body.nextCursor;
+      } while (cursor);
+
+      expect(seen.length).toBe(samplePullRequests.length);
+      expect(new Set(seen).size).toBe(seen.length);
+    });
+
+    it('should return status 400 for a malformed cursor', async () => {
+      const response = await agent
+        .get('/api/v1/feed')
+        .query({ cursor: Buffer.from('nope').toString('base64url') });
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const Follow = require('../../src/domains/follow/schema');
+const User = require('../../src/domains/user/schema');
+const Repository = require('../../src/domains/repository/schema');
+const {
+  TARGET_TYPES,
+  follow,
+  unfollow,
+  reconcileFollowGraph,
+} = require('../../src/domains/follow/service');
+
+const createUser = (name) =>
+  User.create({
+    displayName: name,
+    email: `${name}@fakeemail.com`,
+    authType: 'local',
+    local: { username: name, password: 'hashed' },
+  });
+
+describe('Domains.Follows', () => {
+  describe('Service', () => {
+    let alice = null;
+    let bob = null;
+    let repository = null;
+
+    beforeEach(async () => {
+      [alice, bob] = await Promise.all([
+        createUser('follow-alice'),
+        createUser('follow-bob'),
+      ]);
+      repository = await Repository.create({
+        id: 3030,
+        name: 'graph',
+        full_name: 'follow/graph',
+      });
+    });
+
+    afterEach(async () => {
+      await Promise.all([
+        Follow.deleteMany({ follower: { $in: [alice._id, bob._id] } }),
+        User.deleteMany({ _id: { $in: [alice._id, bob._id] } }),
+        Repository.deleteMany({ _id: repository._id }),
+      ]);
+    });
+
+    it('should create a single edge for concurrent follows', async () => {
+      await Promise.all([
+        follow(alice._id, TARGET_TYPES.USER, bob._id),
+        follow(alice._id, TARGET_TYPES.USER, bob._id),
+        follow(alice._id, TARGET_TYPES.USER, bob._id),
+      ]);
+
+      expect(await Follow.countDocuments({ follower: alice._id })).toBe(1);
+      const [follower, followed] = await Promise.all([
+        User.findById(alice._id),
+        User.findById(bob._id),
+      ]);
+      expect(follower.csFollowing).toHaveLength(1);
+      expect(followed.csFollowers).toHaveLength(1);
+    });
+
+    it('should refuse a user following themselves', async () => {
+      await expect(
+        follow(alice._id, TARGET_TYPES.USER, alice._id)
+      ).rejects.toMatchObject({ HTTPStatus: 400 });
+      expect(await Follow.countDocuments({ follower: alice._id })).toBe(0);
+    });
+
+    it('should remove the edge and both array entries on unfollow', async () => {
+      await follow(alice._id, TARGET_TYPES.REPOSITORY, repository._id);
+      await unfollow(alice._id, TARGET_TYPES.REPOSITORY, repository._id);
+
+      expect(await Follow.countDocuments({ follower: alice._id })).toBe(0);
+      const updated = await Repository.findById(repository._id);
+      expect(updated.csFollowers).toHaveLength(0);
+      expect(updated.csFollowersCount).toBe(0);
+    });
+
+    it('should count the followers of a repository once per follower', async () => {
+      await Promise.all([
+        follow(alice._id, TARGET_TYPES.REPOSITORY, repository._id),
+        follow(alice._id, TARGET_TYPES.REPOSITORY, repository._id),
+        follow(bob._id, TARGET_TYPES.REPOSITORY, repository._id),
+      ]);
+      expect((await Repository.findById(repository._id)).csFollowersCount).toBe(
+        2
+      );
+
+      await unfollow(bob._id, TARGET_TYPES.REPOSITORY, repository._id);
+      await unfollow(bob._id, TARGET_TYPES.REPOSITORY, repository._id);
+      expect((await Repository.findById(repository._id)).csFollowersCount).toBe(
+        1
+      );
+    });
+
+    it('should backfill symmetric follows and repair asymmetric ones', async () => {
+      // follow made before the Follow collection existed
+      await Promise.all([
+        User.updateOne(
+          { _id: alice._id },
+          { $push: { csFollowing: { _id: bob._id } } }
+        ),
+        User.updateOne(
+          { _id: bob._id },
+          { $push: { csFollowers: { _id: alice._id } } }
+        ),
+      ]);
+      // half written follow, without an edge
+      await User.updateOne(
+        { _id: bob._id },
+        { $push: { csFollowingRepositories: { _id: repository._id } } }
+      );
+      // edge whose repository side was never written
+      await Follow.create({
+        follower: alice._id,
+        targetType: TARGET_TYPES.REPOSITORY,
+        target: repository._id,
+      });
+      await User.updateOne(
+        { _id: alice._id },
+        {
+          $push: {
+            csFollowingRepositories: {
+              $each: [{ _id: repository._id }, { _id: repository._id }],
+            },
+          },
+        }
+      );
+
+      const summary = await reconcileFollowGraph();
+      expect(summary.backfilled).toBeGreaterThanOrEqual(1);
+
+      const [aliceAfter, bobAfter, repositoryAfter] = await Promise.all([
+        User.findById(alice._id),
+        User.findById(bob._id),
+        Repository.findById(repository._id),
+      ]);
+      expect(aliceAfter.csFollowing.map(({ _id }) => _id)).toEqual([bob._id]);
+      expect(aliceAfter.csFollowingRepositories).toHaveLength(1);
+      expect(bobAfter.csFollowers.map(({ _id }) => _id)).toEqual([alice._id]);
+      expect(bobAfter.csFollowingRepositories).toHaveLength(0);
+      expect(repositoryAfter.csFollowers.map(({ _id }) => _id)).toEqual([
+        alice._id,
+      ]);
+      expect(repositoryAfter.csFollowersCount).toBe(1);
+      expect(
+        await Follow.countDocuments({ follower: { $in: [alice._id, bob._id] } })
+      ).toBe(2);
+    });
+
+    it('should drop the follows of deleted users and repositories', async () => {
+      const carol = await createUser('follow-carol');
+      await Promise.all([
+        follow(alice._id, TARGET_TYPES.USER, bob._id),
+        follow(alice._id, TARGET_TYPES.REPOSITORY, repository._id),
+        follow(carol._id, TARGET_TYPES.USER, alice._id),
+      ]);
+      await Promise.all([
+        User.deleteOne({ _id: bob._id }),
+        User.deleteOne({ _id: carol._id }),
+        Repository.deleteOne({ _id: repository._id }),
+      ]);
+
+      const summary = await reconcileFollowGraph();
+      expect(summary.dangling).toBeGreaterThanOrEqual(3);
+
+      const aliceAfter = await User.findById(alice._id);
+      expect(aliceAfter.csFollowing).toHaveLength(0);
+      expect(aliceAfter.csFollowingRepositories).toHaveLength(0);
+      expect(aliceAfter.csFollowers).toHaveLength(0);
+      expect(
+        await Follow.countDocuments({
+          $or: [{ follower: alice._id }, { target: alice._id }],
+        })
+      ).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../../src/middlewares/auth/authentication');
+jest.mock('../../src/libraries/util/githubUtils');
+
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+
+const config = require('../../src/configs');
+const User = require('../../src/domains/user/schema');
+const Repository = require('../../src/domains/repository/schema');
+const RepositoryImport = require('../../src/domains/import/schema');
+const { getOrCreateUserFromGitHubProfile } = require('../../src/auth/index');
+const { failInterruptedImports } = require('../../src/domains/import/service');
+const { fetchRepoLanguages } = require('../../src/libraries/util/githubUtils');
+
+let app = null;
+let agent = null;
+let githubUser = null;
+
+beforeAll(async () => {
+  app = createExpressApp();
+  githubUser = await getOrCreateUserFromGitHubProfile({
+    profile: {
+      id: 'fakeImportGithubId',
+      nodeId: 'fakeImportNodeId',
+      displayName: 'Import User',
+      username: 'importuser',
+      profileUrl: 'https://github.com/importuser',
+      _json: { email: 'importuser@fakeemail.com' },
+    },
+    accessToken: 'fake-access-token',
+  });
+  agent = request.agent(app).set('x-mock-user', JSON.stringify(githubUser));
+});
+afterAll(async () => {
+  await RepositoryImport.deleteMany({ user: githubUser._id });
+  await Repository.deleteMany({ 'owner.login': 'listing-owner' });
+  app = null;
+});
+
+const URLS = {
+  BASE: '/api/v1/imports',
+};
+
+// poll the progress endpoint until the background import is done
+const waitForImport = async (id) => {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const response = await agent.get(`${URLS.BASE}/${id}`);
+    if (['succeeded', 'failed'].includes(response.body.status)) {
+      return response;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Import ${id} did not finish`);
+};
+
+describe('Domains.Imports', () => {
+  describe('API', () => {
+    describe('POST /api/v1/imports', () => {
+      it('should return status 400 if the source is invalid', async () => {
+        const response = await agent
+          .post(URLS.BASE)
+          .send({ source: 'team', owner: 'octokit' });
+        expect(response.status).toBe(400);
+      });
+
+      it('should import the filtered repositories and follow them', async () => {
+        const response = await agent.post(URLS.BASE).send({
+          source: 'org',
+          owner: 'octokit',
+          language: 'javascript',
+          archived: false,
+          fork: false,
+          follow: true,
+        });
+        expect(response.status).toBe(202);
+        expect(response.body.status).toBe('queued');
+
+        const progress = await waitForImport(response.body._id);
+        expect(progress.status).toBe(200);
+        expect(progress.body).toEqual(
+          expect.objectContaining({
+            status: 'succeeded',
+            listed: 4,
+            total: 1,
+            processed: 1,
+            imported: 1,
+            failed: 0,
+          })
+        );
+
+        const user = await User.findById(githubUser._id);
+        expect(user.csFollowingRepositories).toHaveLength(1);
+      });
+
+      it('should save the listed repositories and fetch only the missing languages', async () => {
+        const data = { source: 'user', owner: 'listing-owner', minStars: 10 };
+        const first = await agent.post(URLS.BASE).send(data);
+        const progress = await waitForImport(first.body._id);
+        expect(progress.body.imported).toBe(3);
+        expect(fetchRepoLanguages).toHaveBeenCalledTimes(3);
+
+        const repository = await Repository.findOne({
+          full_name: 'listing-owner/web',
+        });
+        expect(repository.stargazers_count).toBe(50);
+        expect(repository.languages).toEqual({ JavaScript: 12000, Shell: 300 });
+
+        fetchRepoLanguages.mockClear();
+        const second = await agent.post(URLS.BASE).send(data);
+        await waitForImport(second.body._id);
+        expect(fetchRepoLanguages).not.toHaveBeenCalled();
+      });
+
+      it('should return status 400 if an owner is sent for starred repositories', async () => {
+        const response = await agent
+          .post(URLS.BASE)
+          .send({ source: 'starred', owner: 'octokit' });
+        expect(response.status).toBe(400);
+      });
+
+      it('should import the starred repositories of the user', async () => {
+        const response = await agent
+          .post(URLS.BASE)
+          .send({ source: 'starred', minStars: 10 });
+        expect(response.status).toBe(202);
+
+        const progress = await waitForImport(response.body._id);
+        expect(progress.body).toEqual(
+          expect.objectContaining({
+            status: 'succeeded',
+            source: 'starred',
+            total: 3,
+            imported: 3,
+          })
+        );
+      });
+    });
+
+    describe('GitHub signup', () => {
+      afterAll(() => {
+        config.GITHUB_IMPORT_ON_SIGNUP = false;
+      });
+
+      it('should start the starred and watched imports for a new user', async () => {
+        config.GITHUB_IMPORT_ON_SIGNUP = true;
+        const newUser = await getOrCreateUserFromGitHubProfile({
+          profile: {
+            id: 'fakeSignupGithubId',
+            displayName: 'Signup User',
+            username: 'signupuser',
+            _json: { email: 'signupuser@fakeemail.com' },
+          },
+          accessToken: 'fake-access-token',
+        });
+
+        const imports = await RepositoryImport.find({ user: newUser._id });
+        expect(imports.map(({ source }) => source).sort()).toEqual([
+          'starred',
+          'watched',
+        ]);
+        expect(imports.every(({ follow }) => follow)).toBe(true);
+      });
+    });
+
+    describe('GET /api/v1/imports/:id', () => {
+      it('should return status 404 for the import of another user', async () => {
+        const item = await RepositoryImport.create({
+          user: '66123283c07ca0e7dcc37990',
+          source: 'user',
+          owner: 'someone',
+        });
+        const response = await agent.get(`${URLS.BASE}/${item._id}`);
+        expect(response.status).toBe(404);
+      });
+    });
+  });
+
+  describe('Service', () => {
+    it('should fail only the imports whose heartbeat expired', async () => {
+      const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      const create = (owner, status, heartbeatAt) =>
+        RepositoryImport.create({
+          user: githubUser._id,
+          source: 'user',
+          owner,
+          status,
+          heartbeatAt,
+          createdAt: hourAgo,
+        });
+      const [interrupted, running, finished] = await Promise.all([
+        create('interrupted', 'running', hourAgo),
+        create('running', 'running', new Date()),
+        create('finished', 'succeeded', hourAgo),
+      ]);
+
+      await failInterruptedImports();
+
+      const response = await agent.get(`${URLS.BASE}/${interrupted._id}`);
+      expect(response.body.status).toBe('failed');
+      expect(response.body.finishedAt).toBeTruthy();
+      const stillRunning = await RepositoryImport.findById(running._id);
+      expect(stillRunning.status).toBe('running');
+      const unchanged = await RepositoryImport.findById(finished._id);
+      expect(unchanged.status).toBe('succeeded');
+    });
+
+    it('should return status 404 when the user does not exist', async () => {
+      const response = await request(app)
+        .post(URLS.BASE)
+        .set('x-mock-user', JSON.stringify({ _id: '66123283c07ca0e7dcc37990' }))
+        .send({ source: 'starred' });
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../../src/middlewares/auth/authentication');
+
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+const scheduler = require('../../src/libraries/scheduler');
+
+let app = null;
+let agent = null;
+
+const adminUser = { id: 123, email: 'admin@example.com', isAdmin: true };
+const normalUser = { id: 456, email: 'test@example.com', isAdmin: false };
+
+beforeAll(async () => {
+  app = createExpressApp();
+  agent = request.agent(app).set('x-mock-user', JSON.stringify(adminUser));
+  scheduler.registerJob({
+    name: 'test-job',
+    description: 'Job used by the tests',
+    cronTime: '0 0 1 1 *',
+    task: async () => ({ done: true }),
+  });
+});
+afterAll(async () => {
+  scheduler.stopScheduler();
+  app = null;
+});
+
+const URLS = {
+  BASE: '/api/v1/jobs',
+};
+
+describe('Domains.Jobs', () => {
+  describe('API', () => {
+    describe('GET /api/v1/jobs', () => {
+      it('should return status 403 when user is not an admin', async () => {
+        const response = await request(app)
+          .get(URLS.BASE)
+          .set('x-mock-user', JSON.stringify(normalUser));
+        expect(response.status).toBe(403);
+      });
+
+      it('should return status 200 and the registered jobs', async () => {
+        const response = await agent.get(URLS.BASE);
+        expect(response.status).toBe(200);
+        const job = response.body.find((item) => item.name === 'test-job');
+        expect(job.status).toBe('idle');
+        expect(job.lastRunAt).toBeNull();
+        expect(job.runCount).toBe(0);
+      });
+    });
+
+    describe('GET /api/v1/jobs/:name', () => {
+      it('should return status 400 if the job name is invalid', async () => {
+        const response = await agent.get(`${URLS.BASE}/Invalid_Name`);
+        expect(response.status).toBe(400);
+      });
+
+      it('should return status 404 if the job is not found', async () => {
+        const response = await agent.get(`${URLS.BASE}/unknown-job`);
+        expect(response.status).toBe(404);
+      });
+    });
+
+    describe('POST /api/v1/jobs/:name/run', () => {
+      it('should return status 404 if the job is not found', async () => {
+        const response = await agent.post(`${URLS.BASE}/unknown-job/run`);
+        expect(response.status).toBe(404);
+      });
+
+      it('should return status 202 and run the job', async () => {
+        const response = await agent.post(`${URLS.BASE}/test-job/run`);
+        expect(response.status).toBe(202);
+        expect(response.body.lastTrigger).toBe('manual');
+
+        const jobResponse = await agent.get(`${URLS.BASE}/test-job`);
+        expect(jobResponse.status).toBe(200);
+        expect(jobResponse.body.status).toBe('succeeded');
+        expect(jobResponse.body.runCount).toBe(1);
+        expect(jobResponse.body.lastResult).toEqual({ done: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,235 @@
+jest.mock('../../src/libraries/util/githubUtils');
+
+const Pull = require('../../src/domains/pull/schema');
+const Repository = require('../../src/domains/repository/schema');
+const Commit = require('../../src/domains/commit/schema');
+const {
+  search,
+  count,
+  mapPullRequestData,
+  upsertPullRequest,
+  syncRepositoryPullRequests,
+} = require('../../src/domains/pull/service');
+const {
+  fetchRepoPullRequests,
+  fetchPullRequestCommits,
+} = require('../../src/libraries/util/githubUtils');
+
+const samplePullRequests = require('../../docs/sample-data/pull-request.json');
+
+describe('Domains.Pulls', () => {
+  describe('Service', () => {
+    const [openPullRequest] = samplePullRequests;
+
+    afterEach(async () => {
+      await Pull.deleteMany({});
+    });
+
+    it('should create the pull request with an opened history entry', async () => {
+      const saved = await upsertPullRequest(mapPullRequestData(openPullRequest));
+      expect(saved.state).toBe('open');
+      expect(saved.history.map(({ event }) => event)).toEqual(['opened']);
+    });
+
+    it('should update the state and record the merge when re-synced', async () => {
+      await upsertPullRequest(mapPullRequestData(openPullRequest));
+
+      const mergedPullRequest = {
+        ...openPullRequest,
+        state: 'closed',
+        updated_at: '2024-05-10T10:00:00Z',
+        closed_at: '2024-05-10T10:00:00Z',
+        merged_at: '2024-05-10T10:00:00Z',
+      };
+      const updated = await upsertPullRequest(
+        mapPullRequestData(mergedPullRequest)
+      );
+
+      expect(updated.state).toBe('merged');
+      expect(updated.merged).toBe(true);
+      expect(updated.merged_at).toEqual(new Date('2024-05-10T10:00:00Z'));
+      expect(updated.history.map(({ event }) => event)).toEqual([
+        'opened',
+        'merged',
+      ]);
+      expect(await Pull.countDocuments({ id: openPullRequest.id })).toBe(1);
+    });
+
+    it('should record the draft to ready transition', async () => {
+      await upsertPullRequest(
+        mapPullRequestData({ ...openPullRequest, draft: true })
+      );
+      const updated = await upsertPullRequest(
+        mapPullRequestData({
+          ...openPullRequest,
+          draft: false,
+          updated_at: '2024-05-10T10:00:00Z',
+        })
+      );
+
+      expect(updated.draft).toBe(false);
+      const [, readyForReview] = updated.history;
+      expect(readyForReview.event).toBe('ready_for_review');
+      expect(readyForReview.from).toBe('draft');
+      expect(readyForReview.to).toBe('ready');
+    });
+
+    it('should store a pull request of a deleted fork', async () => {
+      const deletedForkPullRequest = {
+        ...openPullRequest,
+        head: { ...openPullRequest.head, repo: null },
+      };
+      const saved = await upsertPullRequest(
+        mapPullRequestData(deletedForkPullRequest)
+      );
+      expect(saved.source_branch.name).toBe(openPullRequest.head.ref);
+      expect(saved.source_branch.full_name).toBeUndefined();
+    });
+
+    it('should not touch the pull request when nothing changed', async () => {
+      const saved = await upsertPullRequest(mapPullRequestData(openPullRequest));
+      const again = await upsertPullRequest(mapPullRequestData(openPullRequest));
+      expect(again.updatedAt).toEqual(saved.updatedAt);
+      expect(again.history.length).toBe(1);
+    });
+
+    describe('syncRepositoryPullRequests', () => {
+      let repository = null;
+
+      beforeAll(async () => {
+        repository = await Repository.create({
+          id: 990000101,
+          name: 'watermark',
+          full_name: 'sync-fixture/watermark',
+          owner: { login: 'sync-fixture' },
+        });
+      });
+      afterAll(async () => {
+        await Commit.deleteMany({ repository: repository._id });
+        await Repository.deleteOne({ _id: repository._id });
+      });
+
+      const sync = async (state) => {
+        const dbRepository = await Repository.findById(repository._id);
+        return syncRepositoryPullRequests(dbRepository, 'token', { state });
+      };
+
+      it('should keep a watermark per state', async () => {
+        const newest = new Date('2024-05-04T15:56:25Z');
+
+        const opened = await sync('open');
+        expect(opened).toHaveLength(samplePullRequests.length);
+        expect(fetchRepoPullRequests).toHaveBeenLastCalledWith(
+          'sync-fixture',
+          'watermark',
+          'token',
+          { state: 'open', since: null }
+        );
+        const synced = await Repository.findById(repository._id);
+        expect(synced.pullSyncWatermarks.open).toEqual(newest);
+
+        // the open sync does not cover the closed pull requests
+        await sync('all');
+        expect(fetchRepoPullRequests).toHaveBeenLastCalledWith(
+          'sync-fixture',
+          'watermark',
+          'token',
+          { state: 'all', since: null }
+        );
+
+        const again = await sync('open');
+        expect(again).toHaveLength(0);
+        expect(fetchRepoPullRequests).toHaveBeenLastCalledWith(
+          'sync-fixture',
+          'watermark',
+          'token',
+          { state: 'open', since: newest }
+        );
+      });
+
+      it('should only sync the commits of the pulls whose head moved', async () => {
+        await Repository.updateOne(
+          { _id: repository._id },
+          { $unset: { pullSyncWatermarks: 1 } }
+        );
+        fetchPullRequestCommits.mockClear();
+        await sync('open');
+        expect(fetchPullRequestCommits).toHaveBeenCalledTimes(
+          samplePullRequests.length
+        );
+        const pulls = await Pull.find({ repository: repository._id });
+        pulls.forEach((pull) =>
+          expect(pull.commitsSyncedSha).toBe(pull.source_branch.sha)
+        );
+
+        const [movedPullRequest] = samplePullRequests;
+        await Pull.updateOne(
+          { id: movedPullRequest.id },
+          { 'source_branch.sha': 'moved-head-sha' }
+        );
+        fetchPullRequestCommits.mockClear();
+        await sync('open');
+        expect(fetchPullRequestCommits).toHaveBeenCalledTimes(1);
+        expect(fetchPullRequestCommits.mock.calls[0][2]).toBe(
+          movedPullRequest.number
+        );
+      });
+    });
+
+    describe('search', () => {
+      beforeEach(async () => {
+        const [first, second, third] = samplePullRequests;
+        for (const pullRequest of [
+          first,
+          { ...second, draft: true },
+          {
+            ...third,
+            state: 'closed',
+            closed_at: '2024-05-10T10:00:00Z',
+            merged_at: '2024-05-10T10:00:00Z',
+          },
+        ]) {
+          await upsertPullRequest(mapPullRequestData(pullRequest));
+        }
+      });
+
+      it('should return all pulls when no filter is provided', async () => {
+        const result = await search();
+        expect(result.length).toBe(samplePullRequests.length);
+        expect(await count()).toBe(samplePullRequests.length);
+      });
+
+      it('should filter pulls by keyword in the title (case-insensitive)', async () => {
+        const title = samplePullRequests[0].title;
+        const result = await search({ keyword: title.toUpperCase() });
+        expect(result.map((item) => item.title)).toContain(title);
+      });
+
+      it('should filter pulls by keyword in the repository full name', async () => {
+        const result = await search({ keyword: 'facebook&#x2F;react' });
+        expect(result.length).toBe(samplePullRequests.length);
+      });
+
+      it('should filter pulls by state, draft and merge date', async () => {
+        expect(await count({ state: 'merged' })).toBe(1);
+        expect(await count({ draft: true })).toBe(1);
+        expect(
+          await count({
+            mergedFrom: new Date('2024-05-01'),
+            mergedTo: new Date('2024-05-31'),
+          })
+        ).toBe(1);
+      });
+
+      it('should paginate and sort the pulls', async () => {
+        const result = await search({
+          limit: 2,
+          page: 1,
+          orderBy: 'number',
+          order: 'asc',
+        });
+        expect(result.length).toBe(samplePullRequests.length - 2);
+      });
+    });
+  });
+});
@@ -3,8 +3,10 @@ jest.mock('../../src/libraries/util/githubUtils');
 
 const request = require('supertest');
 const { createExpressApp } = require('../../src/server');
+const github = require('../../src/libraries/util/githubUtils');
 
 const Repository = require('../../src/domains/repository/schema');
+const RepositorySnapshot = require('../../src/domains/snapshot/schema');
 const { getOrCreateUserFromGitHubProfile } = require('../../src/auth/index');
 
 let app = null;
@@ -74,6 +76,112 @@ describe('Domains.Repositories', () => {
         expect(response.status).toBe(200);
         expect(response.body).toEqual([]);
       });
+
+      it('should return status 400 if a filter is invalid', async () => {
+        const response = await agent.get(
+          `${URLS.SEARCH}?starsMin=10&starsMax=5&orderBy=unknown`
+        );
+        expect(response.status).toBe(400);
+      });
+
+      describe('with filters', () => {
+        let repositories = [];
+
+        beforeAll(async () => {
+          // the keyword search needs the text index
+          await Repository.init();
+          repositories = await Repository.create([
+            {
+              id: 1701,
+              name: 'search-api',
+              full_name: 'search/search-api',
+              description: 'zebrafish REST api server',
+              topics: ['search-fixture', 'api', 'rest'],
+              languages: { JavaScript: 1200, Shell: 10 },
+              stargazers_count: 50,
+              forks_count: 5,
+              archived: false,
+              fork: false,
+              license: { spdx_id: 'MIT' },
+              pushed_at: new Date('2024-03-01'),
+            },
+            {
+              id: 1702,
+              name: 'search-web',
+              full_name: 'search/search-web',
+              description: 'web client of the api',
+              topics: ['search-fixture', 'web'],
+              languages: { TypeScript: 3000, 'C++': 20 },
+              stargazers_count: 5,
+              forks_count: 1,
+              archived: true,
+              fork: false,
+              license: { spdx_id: 'Apache-2.0' },
+              pushed_at: new Date('2024-05-01'),
+            },
+          ]);
+          await agent.post(`${URLS.BASE}/${repositories[1]._id}/follow`);
+        });
+
+        afterAll(async () => {
+          await agent.delete(`${URLS.BASE}/${repositories[1]._id}/follow`);
+          await Repository.deleteMany({ id: { $in: [1701, 1702] } });
+        });
+
+        // other test files share the database, the fixture topic scopes the
+        // search to the repositories created here
+        const searchNames = async (query) => {
+          const response = await agent.get(
+            `${URLS.SEARCH}?topics=search-fixture&${query}`
+          );
+          expect(response.status).toBe(200);
+          return response.body.map(({ name }) => name);
+        };
+
+        it('should filter by keyword, topics and languages', async () => {
+          expect(await searchNames('keyword=zebrafish')).toEqual([
+            'search-api',
+          ]);
+          expect(await searchNames('topics=api&topics=rest')).toEqual([
+            'search-api',
+          ]);
+          expect(await searchNames('languages=C%2B%2B')).toEqual([
+            'search-web',
+          ]);
+        });
+
+        it('should filter by ranges, flags and license', async () => {
+          expect(await searchNames('starsMin=10&forksMax=10')).toEqual([
+            'search-api',
+          ]);
+          expect(await searchNames('archived=true')).toEqual(['search-web']);
+          expect(await searchNames('license=MIT&fork=false')).toEqual([
+            'search-api',
+          ]);
+        });
+
+        it('should filter the repositories followed by the user', async () => {
+          expect(await searchNames('followed=true')).toEqual(['search-web']);
+          const response = await agent.get(
+            `${URLS.BASE}/count?topics=search-fixture&followed=true`
+          );
+          expect(response.body.total).toBe(1);
+        });
+
+        it('should sort by activity, stars and followers', async () => {
+          expect(await searchNames('orderBy=pushed_at&order=desc')).toEqual([
+            'search-web',
+            'search-api',
+          ]);
+          expect(
+            await searchNames('orderBy=stargazers_count&order=desc')
+          ).toEqual(['search-api', 'search-web']);
+          expect(await searchNames('orderBy=followers&order=desc')).toEqual([
+            'search-web',
+            'search-api',
+          ]);
+        });
+      });
     });
 
     // POST /api/v1/repositories/fetch-from-github
@@ -95,6 +203,22 @@ describe('Domains.Repositories', () => {
         expect(repositoryResponse.body).toEqual(response.body);
       });
 
+      it('should mark a fetched repository as updated', async () => {
+        const { body } = await agent.post(URLS.FETCH_FROM_GITHUB).send({
+          username: 'octokit',
+          repository: 'rest.js',
+        });
+        const staleAt = new Date('2024-01-01T00:00:00Z');
+        await Repository.updateOne({ _id: body._id }, { updatedAt: staleAt });
+
+        await agent.post(URLS.FETCH_FROM_GITHUB).send({
+          username: 'octokit',
+          repository: 'rest.js',
+        });
+        const repository = await Repository.findById(body._id);
+        expect(repository.updatedAt > staleAt).toBe(true);
+      });
+
       it('should return status 400 if the request body is invalid', async () => {
         const response = await agent.post(URLS.FETCH_FROM_GITHUB).send({
           name: 'Repository',
@@ -103,6 +227,198 @@ describe('Domains.Repositories', () => {
       });
     });
 
+    // GET /api/v1/repositories/:id/pulls
+    describe('GET /api/v1/repositories/:id/pulls', () => {
+      it('should return status 404 if the repository is not found', async () => {
+        const response = await agent.get(
+          `${URLS.BASE}/66123283c07ca0e7dcc37990/pulls`
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should return status 400 if the state filter is invalid', async () => {
+        const response = await agent.get(
+          `${URLS.BASE}/66123283c07ca0e7dcc37990/pulls?state=unknown`
+        );
+        expect(response.status).toBe(400);
+      });
+
+      it('should return status 200 and the pulls of the repository', async () => {
+        const repository = await Repository.findOne({});
+        const response = await agent.get(
+          `${URLS.BASE}/${repository._id}/pulls?state=open&orderBy=created_at`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual([]);
+      });
+    });
+
+    // GET /api/v1/repositories/:id/stats/history
+    describe('GET /api/v1/repositories/:id/stats/history', () => {
+      afterAll(async () => {
+        await RepositorySnapshot.deleteMany({});
+      });
+
+      it('should return status 400 if the interval is invalid', async () => {
+        const response = await agent.get(
+          `${URLS.BASE}/66123283c07ca0e7dcc37990/stats/history?interval=year`
+        );
+        expect(response.status).toBe(400);
+      });
+
+      it('should return the latest counts of each bucket', async () => {
+        const repository = await Repository.findOne({});
+        await RepositorySnapshot.create([
+          {
+            repository: repository._id,
+            takenAt: new Date('2024-05-01T01:00:00Z'),
+            stargazers_count: 10,
+            forks_count: 1,
+          },
+          {
+            repository: repository._id,
+            takenAt: new Date('2024-05-01T20:00:00Z'),
+            stargazers_count: 12,
+            forks_count: 2,
+          },
+          {
+            repository: repository._id,
+            takenAt: new Date('2024-05-02T01:00:00Z'),
+            stargazers_count: 15,
+            forks_count: 2,
+          },
+        ]);
+
+        const response = await agent.get(
+          `${URLS.BASE}/${repository._id}/stats/history?from=2024-05-01&to=2024-05-03&interval=day`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.items).toEqual([
+          expect.objectContaining({
+            date: '2024-05-01T00:00:00.000Z',
+            stargazers_count: 12,
+            forks_count: 2,
+          }),
+          expect.objectContaining({
+            date: '2024-05-02T00:00:00.000Z',
+            stargazers_count: 15,
+          }),
+        ]);
+      });
+    });
+
+    // POST /api/v1/repositories/:id/refresh
+    describe('POST /api/v1/repositories/:id/refresh', () => {
+      let repository = null;
+
+      beforeEach(async () => {
+        // same GitHub id as the mocked fetchRepoDetails response
+        repository = await Repository.findOneAndUpdate(
+          { id: 779055967 },
+          {
+            name: 'old-name',
+            full_name: 'foyzulkarim/old-name',
+            owner: { login: 'foyzulkarim' },
+            stargazers_count: 1,
+            nameHistory: [],
+          },
+          { upsert: true, new: true }
+        );
+      });
+
+      it('should return status 404 if the repository is not found', async () => {
+        const response = await agent.post(
+          `${URLS.BASE}/66123283c07ca0e7dcc37990/refresh`
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should refresh the repository and apply its new name', async () => {
+        const response = await agent.post(
+          `${URLS.BASE}/${repository._id}/refresh`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.stargazers_count).toBe(120);
+        expect(response.body.full_name).toBe('foyzulkarim/nodejs-boilerplate');
+        expect(
+          response.body.nameHistory.map(({ full_name }) => full_name)
+        ).toEqual(['foyzulkarim/old-name']);
+        expect(response.body.sync).toEqual(
+          expect.objectContaining({
+            status: 'moved',
+            movedTo: 'foyzulkarim/nodejs-boilerplate',
+          })
+        );
+      });
+
+      it('should redirect a lookup by the old name to the current one', async () => {
+        await agent.post(`${URLS.BASE}/${repository._id}/refresh`);
+
+        const response = await agent.get(
+          `${URLS.BASE}/by-name/foyzulkarim/old-name`
+        );
+        expect(response.status).toBe(301);
+        expect(response.headers.location).toBe(
+          `${URLS.BASE}/by-name/foyzulkarim/nodejs-boilerplate`
+        );
+
+        const currentResponse = await agent.get(response.headers.location);
+        expect(currentResponse.status).toBe(200);
+        expect(currentResponse.body._id).toBe(repository._id.toString());
+      });
+
+      it('should flag the repository when GitHub answers 404', async () => {
+        jest
+          .spyOn(github, 'fetchRepoDetailsById')
+          .mockRejectedValueOnce(
+            Object.assign(new Error('Not Found'), { status: 404 })
+          );
+        const response = await agent.post(
+          `${URLS.BASE}/${repository._id}/refresh`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.sync.status).toBe('not_found');
+      });
+    });
+
+    // POST /api/v1/repositories/:id/follow
+    describe('POST /api/v1/repositories/:id/follow', () => {
+      it('should return status 404 if the repository is not found', async () => {
+        const response = await agent.post(
+          `${URLS.BASE}/66123283c07ca0e7dcc37990/follow`
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should follow, list the followers and unfollow', async () => {
+        const repository = await Repository.create({
+          id: 2024,
+          name: 'followed',
+          full_name: 'octokit/followed',
+        });
+
+        await agent.post(`${URLS.BASE}/${repository._id}/follow`);
+        const response = await agent.post(
+          `${URLS.BASE}/${repository._id}/follow`
+        );
+        expect(response.status).toBe(200);
+
+        const followersResponse = await agent.get(
+          `${URLS.BASE}/${repository._id}/followers`
+        );
+        expect(followersResponse.status).toBe(200);
+        expect(followersResponse.body.total).toBe(1);
+        expect(followersResponse.body.items[0].displayName).toBe('Fake User');
+
+        const unfollowResponse = await agent.delete(
+          `${URLS.BASE}/${repository._id}/follow`
+        );
+        expect(unfollowResponse.status).toBe(200);
+        const updated = await Repository.findById(repository._id);
+        expect(updated.csFollowers).toHaveLength(0);
+      });
+    });
+
     // GET /api/v1/repositories/:id
     describe('GET /api/v1/repositories/:id', () => {
       it('should return status 400 when id is not valid', async () => {
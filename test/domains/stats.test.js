@@ -0,0 +1,315 @@
+jest.mock('../../src/middlewares/auth/authentication');
+
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+
+const User = require('../../src/domains/user/schema');
+const Repository = require('../../src/domains/repository/schema');
+const RepositorySnapshot = require('../../src/domains/snapshot/schema');
+const Follow = require('../../src/domains/follow/schema');
+const Pull = require('../../src/domains/pull/schema');
+const Commit = require('../../src/domains/commit/schema');
+const { TARGET_TYPES, follow } = require('../../src/domains/follow/service');
+
+let app = null;
+let agent = null;
+let user = null;
+let repositories = [];
+
+const HOUR = 60 * 60 * 1000;
+
+// pull of the first repository opened on 2024-01-10 by stats-author
+const createPull = (number, { mergedAfterHours, closed, lines, comments }) => {
+  const createdAt = new Date('2024-01-10T00:00:00Z');
+  const branch = {
+    id: 1801,
+    node_id: 'stats-node',
+    name: 'main',
+    full_name: 'stats/stats-one',
+  };
+  return Pull.create({
+    id: 180100 + number,
+    repository: repositories[0]._id,
+    node_id: `stats-pull-${number}`,
+    html_url: `https://github.com/stats/stats-one/pull/${number}`,
+    number,
+    state: mergedAfterHours || closed ? 'closed' : 'open',
+    locked: false,
+    title: `Pull ${number}`,
+    user: {
+      login: 'stats-author',
+      id: 1800,
+      node_id: 'stats-author-node',
+      avatar_url: 'https://github.com/images/stats-author',
+      type: 'User',
+    },
+    created_at: createdAt,
+    updated_at: createdAt,
+    merged_at: mergedAfterHours
+      ? new Date(createdAt.getTime() + mergedAfterHours * HOUR)
+      : null,
+    draft: false,
+    additions: lines,
+    deletions: 0,
+    review_comments: comments,
+    source_branch: branch,
+    target_branch: branch,
+  });
+};
+
+beforeAll(async () => {
+  app = createExpressApp();
+  user = await User.create({
+    displayName: 'Stats User',
+    email: 'stats-user@fakeemail.com',
+    authType: 'local',
+    local: { username: 'stats-user', password: 'hashed' },
+  });
+  agent = request.agent(app).set('x-mock-user', JSON.stringify(user));
+
+  // language names unique to this file, the database is shared
+  repositories = await Repository.create([
+    {
+      id: 1801,
+      name: 'stats-one',
+      full_name: 'stats/stats-one',
+      languages: { StatsScript: 300, StatsShell: 100 },
+    },
+    {
+      id: 1802,
+      name: 'stats-two',
+      full_name: 'stats/stats-two',
+      languages: { StatsScript: 600 },
+    },
+  ]);
+  await follow(user._id, TARGET_TYPES.REPOSITORY, repositories[0]._id);
+  await RepositorySnapshot.create([
+    {
+      takenAt: new Date('2024-01-01T10:00:00Z'),
+      repository: repositories[0]._id,
+      languages: { StatsScript: 100, StatsShell: 100 },
+    },
+    {
+      takenAt: new Date('2024-02-01T10:00:00Z'),
+      repository: repositories[0]._id,
+      languages: { StatsScript: 300, StatsShell: 100 },
+    },
+  ]);
+  await createPull(1, { mergedAfterHours: 2, lines: 5, comments: 1 });
+  await createPull(2, { mergedAfterHours: 4, lines: 40, comments: 2 });
+  await createPull(3, { mergedAfterHours: 30, lines: 300, comments: 3 });
+  await createPull(4, { closed: true, lines: 2000, comments: 0 });
+  await createPull(5, { lines: 100, comments: 0 });
+});
+afterAll(async () => {
+  const repositoryIds = repositories.map(({ _id }) => _id);
+  await Promise.all([
+    Pull.deleteMany({ repository: { $in: repositoryIds } }),
+    Commit.deleteMany({ repository: { $in: repositoryIds } }),
+    Follow.deleteMany({ follower: user._id }),
+    RepositorySnapshot.deleteMany({ repository: { $in: repositoryIds } }),
+    Repository.deleteMany({ _id: { $in: repositoryIds } }),
+    User.deleteMany({ _id: user._id }),
+  ]);
+  app = null;
+});
+
+const URLS = {
+  LANGUAGES: '/api/v1/stats/languages',
+  PULLS: '/api/v1/stats/pulls',
+  CONTRIBUTORS: '/api/v1/stats/contributors',
+  REPOSITORIES: '/api/v1/repositories',
+  USERS: '/api/v1/users',
+};
+
+describe('Domains.Stats', () => {
+  describe('API', () => {
+    describe('GET /api/v1/stats/languages', () => {
+      it('should return status 400 if the interval is invalid', async () => {
+        const response = await agent.get(`${URLS.LANGUAGES}?interval=year`);
+        expect(response.status).toBe(400);
+      });
+
+      it('should sum the languages of all repositories', async () => {
+        const response = await agent.get(`${URLS.LANGUAGES}?limit=100`);
+        expect(response.status).toBe(200);
+        const language = response.body.languages.find(
+          (item) => item.language === 'StatsScript'
+        );
+        expect(language.bytes).toBe(900);
+        expect(language.repositories).toBe(2);
+      });
+    });
+
+    describe('GET /api/v1/repositories/:id/stats/pulls', () => {
+      it('should return status 404 if the repository is not found', async () => {
+        const response = await agent.get(
+          `${URLS.REPOSITORIES}/66123283c07ca0e7dcc37990/stats/pulls`
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should return the pull request stats of the date range', async () => {
+        const response = await agent.get(
+          `${URLS.REPOSITORIES}/${repositories[0]._id}/stats/pulls?from=2024-01-01&to=2024-02-01`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.opened).toBe(5);
+        expect(response.body.merged).toBe(3);
+        expect(response.body.closed).toBe(1);
+        expect(response.body.mergeRate).toBe(0.75);
+        expect(response.body.timeToMergeHours).toEqual({ median: 4, p90: 30 });
+        expect(response.body.sizes.map(({ count }) => count)).toEqual([
+          1, 1, 1, 1, 1,
+        ]);
+        expect(response.body.reviewComments).toEqual({
+          total: 6,
+          perPull: 1.2,
+          per100Lines: 0.25,
+        });
+      });
+
+      it('should not count the pulls opened outside of the date range', async () => {
+        const response = await agent.get(
+          `${URLS.REPOSITORIES}/${repositories[0]._id}/stats/pulls?from=2024-02-01`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.opened).toBe(0);
+        expect(response.body.mergeRate).toBeNull();
+        expect(response.body.timeToMergeHours).toEqual({
+          median: null,
+          p90: null,
+        });
+      });
+
+      it('should return the pull request stats of an author', async () => {
+        const response = await agent.get(
+          `${URLS.PULLS}?author=stats-author&from=2024-01-01&to=2024-02-01`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.author).toBe('stats-author');
+        expect(response.body.opened).toBe(5);
+      });
+    });
+
+    describe('GET /api/v1/repositories/:id/contributors', () => {
+      let githubUser = null;
+
+      beforeAll(async () => {
+        githubUser = await User.create({
+          displayName: 'Stats Author',
+          email: 'stats-author@fakeemail.com',
+          authType: 'github',
+          github: { id: '1800' },
+        });
+        const pulls = await Pull.find({ repository: repositories[0]._id });
+        // the same commit in two pull requests counts once
+        await Commit.create(
+          pulls.slice(0, 2).map((pull) => ({
+            sha: 'stats-commit-sha',
+            node_id: 'stats-commit-node',
+            html_url: 'https://github.com/stats/stats-one/commit/stats',
+            message: 'Add stats',
+            author: {
+              name: 'Stats Committer',
+              email: 'stats-committer@fakeemail.com',
+              date: new Date('2024-01-15T00:00:00Z'),
+              login: 'stats-committer',
+              id: 1900,
+            },
+            pull: pull._id,
+            repository: repositories[0]._id,
+          }))
+        );
+      });
+
+      afterAll(async () => {
+        await User.deleteMany({ _id: githubUser._id });
+      });
+
+      it('should return status 404 if the repository is not found', async () => {
+        const response = await agent.get(
+          `${URLS.REPOSITORIES}/66123283c07ca0e7dcc37990/contributors`
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should rank the contributors of the repository', async () => {
+        const response = await agent.get(
+          `${URLS.REPOSITORIES}/${repositories[0]._id}/contributors?from=2024-01-01&to=2024-02-01`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(2);
+
+        const [author, committer] = response.body.items;
+        expect(author).toMatchObject({
+          id: 1800,
+          login: 'stats-author',
+          opened: 5,
+          merged: 3,
+          linesChanged: 345,
+          commits: 0,
+        });
+        expect(author.user.displayName).toBe('Stats Author');
+        expect(committer).toMatchObject({
+          id: 1900,
+          login: 'stats-committer',
+          opened: 0,
+          commits: 1,
+          user: null,
+        });
+      });
+
+      it('should sort the global leaderboard', async () => {
+        const response = await agent.get(
+          `${URLS.CONTRIBUTORS}?from=2024-01-01&to=2024-02-01&orderBy=commits&limit=100`
+        );
+        expect(response.status).toBe(200);
+        const logins = response.body.items.map(({ login }) => login);
+        expect(logins.indexOf('stats-committer')).toBeLessThan(
+          logins.indexOf('stats-author')
+        );
+      });
+    });
+
+    describe('GET /api/v1/users/:id/stats/languages', () => {
+      it('should return status 404 if the user is not found', async () => {
+        const response = await agent.get(
+          `${URLS.USERS}/66123283c07ca0e7dcc37990/stats/languages`
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should return the languages of the followed repositories', async () => {
+        const response = await agent.get(
+          `${URLS.USERS}/${user._id}/stats/languages?from=2024-01-01&to=2024-03-01&interval=month`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.repositories).toBe(1);
+        expect(response.body.totalBytes).toBe(400);
+        expect(response.body.languages).toEqual([
+          {
+            language: 'StatsScript',
+            bytes: 300,
+            repositories: 1,
+            percentage: 75,
+          },
+          {
+            language: 'StatsShell',
+            bytes: 100,
+            repositories: 1,
+            percentage: 25,
+          },
+        ]);
+
+        const { items } = response.body.trend;
+        expect(items).toHaveLength(2);
+        expect(items[0].languages).toEqual([
+          { language: 'StatsScript', bytes: 100, percentage: 50 },
+          { language: 'StatsShell', bytes: 100, percentage: 50 },
+        ]);
+        expect(items[1].totalBytes).toBe(400);
+      });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+
+const User = require('../../src/domains/user/schema');
+const ApiToken = require('../../src/domains/token/schema');
+
+let app = null;
+let session = null;
+let userId = null;
+
+const email = 'tokens@token.example.com';
+const password = 'secret-password';
+
+// the authentication middleware is not mocked, requests are authenticated by
+// the logged in session or by a Bearer token
+beforeAll(async () => {
+  app = createExpressApp();
+  const registered = await request(app)
+    .post('/api/register')
+    .send({ email, password });
+  userId = registered.body.userId;
+  session = request.agent(app);
+  await session.post('/api/login').send({ username: email, password });
+});
+afterAll(async () => {
+  await ApiToken.deleteMany({ user: userId });
+  await User.deleteMany({ email });
+  app = null;
+});
+
+const URLS = {
+  BASE: '/api/v1/tokens',
+};
+
+const createToken = async (data) => {
+  const response = await session.post(URLS.BASE).send(data);
+  expect(response.status).toBe(201);
+  return response.body;
+};
+
+describe('Domains.Tokens', () => {
+  describe('API', () => {
+    describe('POST /api/v1/tokens', () => {
+      it('should return the token once and store its hash', async () => {
+        const item = await createToken({ name: 'ci', scopes: ['read'] });
+        expect(item.token).toMatch(/^csp_/);
+        expect(item.tokenHash).toBeUndefined();
+        expect(item.scopes).toEqual(['read']);
+        expect(new Date(item.expiresAt) > new Date()).toBe(true);
+
+        const stored = await ApiToken.findById(item._id);
+        expect(stored.tokenHash).not.toBe(item.token);
+      });
+
+      it('should return status 403 for the admin scope of a non admin', async () => {
+        const response = await session
+          .post(URLS.BASE)
+          .send({ name: 'admin', scopes: ['admin'] });
+        expect(response.status).toBe(403);
+      });
+
+      it('should return status 401 without a session or a token', async () => {
+        const response = await request(app)
+          .post(URLS.BASE)
+          .send({ name: 'ci' });
+        expect(response.status).toBe(401);
+      });
+    });
+
+    describe('Bearer token', () => {
+      it('should authenticate the API and record the use', async () => {
+        const item = await createToken({ name: 'reader', scopes: ['read'] });
+        const response = await request(app)
+          .get('/api/v1/stats/languages')
+          .set('Authorization', `Bearer ${item.token}`);
+        expect(response.status).toBe(200);
+
+        const stored = await ApiToken.findById(item._id);
+        expect(stored.lastUsedAt).toBeTruthy();
+      });
+
+      it('should not start a session', async () => {
+        const item = await createToken({ name: 'stateless', scopes: ['read'] });
+        const response = await request(app)
+          .get('/api/v1/stats/languages')
+          .set('Authorization', `Bearer ${item.token}`);
+        expect(response.status).toBe(200);
+        expect(response.headers['set-cookie']).toBeUndefined();
+      });
+
+      it('should return status 403 for a write with a read token', async () => {
+        const item = await createToken({ name: 'read-only', scopes: 'read' });
+        const response = await request(app)
+          .post('/api/v1/repositories/search-one')
+          .set('Authorization', `Bearer ${item.token}`)
+          .send({});
+        expect(response.status).toBe(403);
+      });
+
+      it('should not manage tokens with a token', async () => {
+        const item = await createToken({ name: 'writer', scopes: ['write'] });
+        const response = await request(app)
+          .get(URLS.BASE)
+          .set('Authorization', `Bearer ${item.token}`);
+        expect(response.status).toBe(403);
+      });
+
+      it.each([
+        ['get', '/api/auth/github/connect'],
+        ['get', '/api/auth/google/connect'],
+        ['post', '/api/password/change'],
+        ['get', '/api/user/identities'],
+        ['delete', '/api/user/identities/github'],
+        ['get', '/api/user/sessions'],
+        ['delete', '/api/user/sessions'],
+        ['delete', '/api/user/sessions/000000000000000000000000'],
+      ])('should return status 401 for %s %s', async (method, url) => {
+        const item = await createToken({ name: 'account', scopes: ['write'] });
+        const response = await request(app)
+          [method](url)
+          .set('Authorization', `Bearer ${item.token}`)
+          .send({});
+        expect(response.status).toBe(401);
+      });
+
+      it('should return status 401 for an unknown or expired token', async () => {
+        const unknown = await request(app)
+          .get(URLS.BASE)
+          .set('Authorization', 'Bearer csp_unknown');
+        expect(unknown.status).toBe(401);
+
+        const item = await createToken({ name: 'expired' });
+        await ApiToken.updateOne(
+          { _id: item._id },
+          { expiresAt: new Date(Date.now() - 1000) }
+        );
+        const expired = await request(app)
+          .get('/api/v1/stats/languages')
+          .set('Authorization', `Bearer ${item.token}`);
+        expect(expired.status).toBe(401);
+      });
+    });
+
+    describe('GET and DELETE /api/v1/tokens', () => {
+      it('should list the tokens without their secrets', async () => {
+        const response = await session.get(URLS.BASE);
+        expect(response.status).toBe(200);
+        expect(response.body.length).toBeGreaterThan(0);
+        response.body.forEach((item) => {
+          expect(item.token).toBeUndefined();
+          expect(item.tokenHash).toBeUndefined();
+          expect(item.prefix).toMatch(/^csp_/);
+        });
+      });
+
+      it('should revoke a token', async () => {
+        const item = await createToken({ name: 'revoked' });
+        const response = await session.delete(`${URLS.BASE}/${item._id}`);
+        expect(response.status).toBe(200);
+
+        const used = await request(app)
+          .get('/api/v1/stats/languages')
+          .set('Authorization', `Bearer ${item.token}`);
+        expect(used.status).toBe(401);
+
+        const again = await session.delete(`${URLS.BASE}/${item._id}`);
+        expect(again.status).toBe(404);
+      });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+jest.mock('../../src/middlewares/auth/authentication');
+jest.mock('../../src/libraries/util/githubUtils');
+
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+
+const User = require('../../src/domains/user/schema');
+const Repository = require('../../src/domains/repository/schema');
+const { getOrCreateUserFromGitHubProfile } = require('../../src/auth/index');
+
+let app = null;
+let agent = null;
+let githubUser = null;
+
+beforeAll(async () => {
+  app = createExpressApp();
+  const profile = {
+    id: 'fakeUserGithubId',
+    nodeId: 'fakeUserNodeId',
+    displayName: 'Fake User',
+    username: 'fakeusertest',
+    profileUrl: 'https://github.com/fakeusertest',
+    _json: {
+      avatar_url: 'https://github.com/images/fake-avatar-url',
+      email: 'fakeusertest@fakeemail.com',
+      followers: 10,
+      following: 5,
+      created_at: '2020-01-01T00:00:00Z',
+      updated_at: '2021-01-01T00:00:00Z',
+    },
+  };
+  githubUser = await getOrCreateUserFromGitHubProfile({
+    profile,
+    accessToken: 'fake-access-token',
+  });
+
+  agent = request.agent(app).set('x-mock-user', JSON.stringify(githubUser));
+});
+afterAll(async () => {
+  app = null;
+});
+
+const URLS = {
+  BASE: '/api/v1/users',
+};
+
+describe('Domains.Users', () => {
+  describe('API', () => {
+    describe('GET /api/v1/users/me/rate-limit', () => {
+      it('should return status 200 and the rate limit of the GitHub token', async () => {
+        const response = await agent.get(`${URLS.BASE}/me/rate-limit`);
+        expect(response.status).toBe(200);
+        expect(response.body.core.remaining).toBe(4988);
+        expect(response.body.core.limit).toBe(5000);
+        expect(response.body.search).toBeDefined();
+      });
+
+      it('should return status 400 when no GitHub account is connected', async () => {
+        const localUser = await User.create({
+          displayName: 'Local User',
+          email: 'localratelimit@fakeemail.com',
+          authType: 'local',
+          local: { username: 'localratelimit', password: 'hashed' },
+        });
+        const response = await request(app)
+          .get(`${URLS.BASE}/me/rate-limit`)
+          .set(
+            'x-mock-user',
+            JSON.stringify({ _id: localUser._id.toString() })
+          );
+        expect(response.status).toBe(400);
+      });
+    });
+
+    describe('POST /api/v1/users/:id/follow', () => {
+      let followedUser = null;
+
+      beforeAll(async () => {
+        followedUser = await User.create({
+          displayName: 'Followed User',
+          email: 'followed@fakeemail.com',
+          authType: 'local',
+          local: { username: 'followed', password: 'hashed' },
+        });
+      });
+
+      it('should return status 400 when following yourself', async () => {
+        const response = await agent.post(
+          `${URLS.BASE}/${githubUser._id}/follow`
+        );
+        expect(response.status).toBe(400);
+      });
+
+      it('should return status 404 if the user is not found', async () => {
+        const response = await agent.post(
+          `${URLS.BASE}/66123283c07ca0e7dcc37990/follow`
+        );
+        expect(response.status).toBe(404);
+      });
+
+      it('should add the follow edge once on both users', async () => {
+        const responses = await Promise.all([
+          agent.post(`${URLS.BASE}/${followedUser._id}/follow`),
+          agent.post(`${URLS.BASE}/${followedUser._id}/follow`),
+        ]);
+        responses.forEach((response) => expect(response.status).toBe(200));
+
+        const [follower, followed] = await Promise.all([
+          User.findById(githubUser._id),
+          User.findById(followedUser._id),
+        ]);
+        expect(follower.csFollowing).toHaveLength(1);
+        expect(followed.csFollowers).toHaveLength(1);
+      });
+
+      it('should list the followers and the following with summaries', async () => {
+        const followersResponse = await agent.get(
+          `${URLS.BASE}/${followedUser._id}/followers`
+        );
+        expect(followersResponse.status).toBe(200);
+        expect(followersResponse.body.total).toBe(1);
+        expect(followersResponse.body.items[0]).toEqual(
+          expect.objectContaining({
+            _id: githubUser._id.toString(),
+            displayName: 'Fake User',
+          })
+        );
+        expect(followersResponse.body.items[0].email).toBeUndefined();
+
+        const followingResponse = await agent.get(
+          `${URLS.BASE}/${githubUser._id}/following`
+        );
+        expect(followingResponse.status).toBe(200);
+        expect(followingResponse.body.items[0].displayName).toBe(
+          'Followed User'
+        );
+      });
+
+      it('should remove the follow edge on both users', async () => {
+        const response = await agent.delete(
+          `${URLS.BASE}/${followedUser._id}/follow`
+        );
+        expect(response.status).toBe(200);
+
+        const [follower, followed] = await Promise.all([
+          User.findById(githubUser._id),
+          User.findById(followedUser._id),
+        ]);
+        expect(follower.csFollowing).toHaveLength(0);
+        expect(followed.csFollowers).toHaveLength(0);
+      });
+    });
+
+    describe('GET /api/v1/users/:id/following', () => {
+      it('should return status 400 if the type is invalid', async () => {
+        const response = await agent.get(
+          `${URLS.BASE}/${githubUser._id}/following?type=unknown`
+        );
+        expect(response.status).toBe(400);
+      });
+
+      it('should list the followed repositories', async () => {
+        const repository = await Repository.create({
+          id: 9911,
+          name: 'followed-repo',
+          full_name: 'fakeusertest/followed-repo',
+          owner: { login: 'fakeusertest' },
+        });
+        await agent.post(`/api/v1/repositories/${repository._id}/follow`);
+
+        const response = await agent.get(
+          `${URLS.BASE}/${githubUser._id}/following?type=repositories`
+        );
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(1);
+        expect(response.body.items[0].full_name).toBe(
+          'fakeusertest/followed-repo'
+        );
+      });
+    });
+  });
+});
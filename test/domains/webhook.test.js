@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { createExpressApp } = require('../../src/server');
+
+const Pull = require('../../src/domains/pull/schema');
+const Repository = require('../../src/domains/repository/schema');
+const RepositorySnapshot = require('../../src/domains/snapshot/schema');
+const WebhookDelivery = require('../../src/domains/webhook/schema');
+const { createWebhookSecret } = require('../../src/domains/repository/service');
+const { verifySignature } = require('../../src/domains/webhook/service');
+
+const samplePullRequests = require('../../docs/sample-data/pull-request.json');
+const [sampleRepository] = require('../../docs/sample-data/repository.json');
+
+let app = null;
+let secret = null;
+
+const URL = '/api/webhooks/github';
+
+const sign = (body, key = secret) =>
+  `sha256=${crypto.createHmac('sha256', key).update(body).digest('hex')}`;
+
+// replay a payload the way GitHub delivers it
+const deliver = (event, payload, { deliveryId, signature } = {}) => {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post(URL)
+    .set('Content-Type', 'application/json')
+    .set('X-GitHub-Event', event)
+    .set('X-GitHub-Delivery', deliveryId || crypto.randomUUID())
+    .set('X-Hub-Signature-256', signature || sign(body))
+    .send(body);
+};
+
+beforeAll(async () => {
+  app = createExpressApp();
+  const repository = await Repository.create({
+    ...sampleRepository,
+    id: samplePullRequests[0].base.repo.id,
+  });
+  ({ secret } = await createWebhookSecret(repository._id));
+});
+afterAll(async () => {
+  await Promise.all([
+    Pull.deleteMany({}),
+    Repository.deleteMany({}),
+    RepositorySnapshot.deleteMany({}),
+    WebhookDelivery.deleteMany({}),
+  ]);
+  app = null;
+});
+
+describe('Domains.Webhooks', () => {
+  describe('Service', () => {
+    it('should verify the signature of the payload', () => {
+      const body = Buffer.from('{"zen":"Keep it logically awesome."}');
+      expect(verifySignature(body, sign(body, 'key'), 'key')).toBe(true);
+      expect(verifySignature(body, sign(body, 'other'), 'key')).toBe(false);
+      expect(verifySignature(body, undefined, 'key')).toBe(false);
+    });
+  });
+
+  describe('POST /api/webhooks/github', () => {
+    const repository = { id: samplePullRequests[0].base.repo.id };
+
+    it('should return status 400 without the GitHub headers', async () => {
+      const response = await request(app).post(URL).send({});
+      expect(response.status).toBe(400);
+    });
+
+    it('should return status 401 when the signature does not match', async () => {
+      const response = await deliver(
+        'ping',
+        { zen: 'Design for failure.', repository },
+        { signature: sign('something else') }
+      );
+      expect(response.status).toBe(401);
+    });
+
+    it('should return status 404 for a repository without webhook', async () => {
+      const response = await deliver('ping', { repository: { id: 1 } });
+      expect(response.status).toBe(404);
+    });
+
+    it('should store the pull requests of pull_request events', async () => {
+      for (const pullRequest of samplePullRequests) {
+        const response = await deliver('pull_request', {
+          action: 'opened',
+          pull_request: pullRequest,
+          repository,
+        });
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('processed');
+      }
+      expect(await Pull.countDocuments({})).toBe(samplePullRequests.length);
+    });
+
+    it('should ignore a redelivery of the same event', async () => {
+      const deliveryId = crypto.randomUUID();
+      const payload = {
+        action: 'closed',
+        pull_request: {
+          ...samplePullRequests[0],
+          state: 'closed',
+          updated_at: '2024-05-10T10:00:00Z',
+          closed_at: '2024-05-10T10:00:00Z',
+          merged_at: '2024-05-10T10:00:00Z',
+        },
+        repository,
+      };
+      const first = await deliver('pull_request', payload, { deliveryId });
+      const second = await deliver('pull_request', payload, { deliveryId });
+
+      expect(first.body.status).toBe('processed');
+      expect(second.status).toBe(200);
+      expect(second.body.status).toBe('duplicate');
+
+      const pull = await Pull.findOne({ id: samplePullRequests[0].id });
+      expect(pull.state).toBe('merged');
+      expect(pull.history.filter(({ event }) => event === 'merged').length).toBe(
+        1
+      );
+    });
+
+    it('should ignore a pull_request event that arrives late', async () => {
+      const response = await deliver('pull_request', {
+        action: 'reopened',
+        pull_request: samplePullRequests[0],
+        repository,
+      });
+      expect(response.body.status).toBe('processed');
+
+      const pull = await Pull.findOne({ id: samplePullRequests[0].id });
+      expect(pull.state).toBe('merged');
+      expect(pull.history.map(({ event }) => event)).not.toContain('reopened');
+    });
+
+    it('should update the stars and snapshot them on star events', async () => {
+      const response = await deliver('star', {
+        action: 'created',
+        starred_at: '2024-05-10T10:00:00Z',
+        repository: {
+          ...sampleRepository,
+          id: repository.id,
+          stargazers_count: sampleRepository.stargazers_count + 1,
+        },
+      });
+      expect(response.status).toBe(200);
+      expect(response.body.stargazers_count).toBe(
+        sampleRepository.stargazers_count + 1
+      );
+      expect(await RepositorySnapshot.countDocuments({})).toBe(1);
+    });
+  });
+});